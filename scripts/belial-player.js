@@ -62,6 +62,7 @@ function decideAction(gameState, myState) {
   const { phase, currentBet, pot, communityCards } = gameState;
   const { chips, currentBet: myBet, holeCards } = myState;
   const toCall = (currentBet || 0) - (myBet || 0);
+  const stack = chips + (myBet || 0); // Most we can raise to
   
   // If we don't have cards, fold
   if (!holeCards || holeCards.length < 2) {
@@ -76,14 +77,14 @@ function decideAction(gameState, myState) {
       case 'premium':
         // Always raise with premium hands
         if (currentBet === 0 || toCall < chips * 0.3) {
-          return { action: 'raise', amount: Math.min(currentBet * 3 + 10, chips) };
+          return { action: 'raise', to: Math.min(currentBet * 3 + 10, stack) };
         }
         return { action: 'call' };
         
       case 'strong':
         // Raise or call
         if (currentBet < chips * 0.15) {
-          return { action: 'raise', amount: Math.min(currentBet * 2.5 + 10, chips) };
+          return { action: 'raise', to: Math.min(Math.floor(currentBet * 2.5) + 10, stack) };
         }
         if (toCall < chips * 0.2) {
           return { action: 'call' };
@@ -107,7 +108,7 @@ function decideAction(gameState, myState) {
         }
         // Occasionally bluff
         if (Math.random() < STRATEGY.bluffFrequency) {
-          return { action: 'raise', amount: Math.min(currentBet * 2 + 10, chips) };
+          return { action: 'raise', to: Math.min(currentBet * 2 + 10, stack) };
         }
         return { action: 'fold' };
     }
@@ -120,14 +121,14 @@ function decideAction(gameState, myState) {
   if (toCall === 0) {
     // Free to play
     if (handStrength > 0.5 || Math.random() < 0.3) {
-      return { action: 'bet', amount: Math.min(pot * 0.5, chips) };
+      return { action: 'bet', to: Math.min(Math.floor(pot * 0.5), stack) };
     }
     return { action: 'check' };
   }
   
   // Facing a bet
   if (handStrength > 0.7) {
-    return { action: 'raise', amount: Math.min(currentBet * 2, chips) };
+    return { action: 'raise', to: Math.min(currentBet * 2, stack) };
   }
   if (handStrength > 0.4 || toCall < pot * 0.3) {
     return { action: 'call' };
@@ -177,7 +178,7 @@ async function main() {
       holeCards: data.holeCards
     });
     
-    console.log(`📤 Action: ${decision.action}${decision.amount ? ' ' + decision.amount : ''}`);
+    console.log(`📤 Action: ${decision.action}${decision.to ? ' to ' + decision.to : ''}`);
     socket.emit('action', decision);
   });
   
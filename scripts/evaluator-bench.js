@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Hand evaluator benchmark
+ * Checks the lookup evaluator against evaluateHand() over random hands, then
+ * times both on the same 7-card hands.
+ *
+ *   node scripts/evaluator-bench.js [--check 100000] [--hands 50000]
+ */
+
+const { SecureDeck } = require('../src/game/deck');
+const { evaluateHand, compareHands } = require('../src/game/evaluator');
+
+// The lookup tables are built when the module loads
+const tablesStarted = Date.now();
+const { evaluateHandFast, evaluateCodes, encodeCard } = require('../src/game/lookup-evaluator');
+const tablesMs = Date.now() - tablesStarted;
+
+function parseArgs(argv) {
+  const options = { check: 100000, hands: 50000 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--check') options.check = Number(argv[++i]);
+    else if (arg === '--hands') options.hands = Number(argv[++i]);
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  for (const key of ['check', 'hands']) {
+    if (!Number.isInteger(options[key]) || options[key] < 1) {
+      throw new Error(`--${key} must be a positive whole number`);
+    }
+  }
+  return options;
+}
+
+// count random cards from the deck, a partial Fisher-Yates on a copy
+function randomHand(deck, count) {
+  const cards = deck.slice();
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(Math.random() * (cards.length - i));
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+  return cards.slice(0, count);
+}
+
+function sameHand(a, b) {
+  return a.ranking === b.ranking && a.kickers.join() === b.kickers.join() && !!a.shortDeck === !!b.shortDeck;
+}
+
+// Same result for 5, 6 and 7 cards on both decks, and hands compare the same way
+function crossCheck(hands) {
+  let mismatches = 0;
+  for (const shortDeck of [false, true]) {
+    const deck = new SecureDeck({ shortDeck }).cards;
+    let previous = null;
+    for (let i = 0; i < hands; i++) {
+      const cards = randomHand(deck, 5 + (i % 3));
+      const expected = evaluateHand(cards, { shortDeck });
+      const actual = evaluateHandFast(cards, { shortDeck });
+      const ordered = !previous ||
+        Math.sign(compareHands(expected, previous.expected)) === Math.sign(compareHands(actual, previous.actual));
+      if (!sameHand(expected, actual) || !ordered) {
+        if (mismatches++ < 10) {
+          console.log(`❌ ${cards.join(' ')}${shortDeck ? ' (short deck)' : ''}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+      }
+      previous = { expected, actual };
+    }
+  }
+  return mismatches;
+}
+
+function time(label, hands, evaluate) {
+  const started = process.hrtime.bigint();
+  for (const hand of hands) evaluate(hand);
+  const ms = Number(process.hrtime.bigint() - started) / 1e6;
+  const perSecond = Math.round(hands.length / (ms / 1000));
+  console.log(`  ${label.padEnd(22)} ${ms.toFixed(0).padStart(7)} ms  ${perSecond.toLocaleString('en-US').padStart(12)} hands/s`);
+  return ms;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  console.log(`📋 Lookup tables built in ${tablesMs} ms`);
+
+  console.log(`🔍 Cross-checking ${options.check} random hands per deck...`);
+  const mismatches = crossCheck(options.check);
+  console.log(mismatches === 0 ? '✅ Every hand matched evaluateHand()' : `❌ ${mismatches} hands differ`);
+
+  const deck = new SecureDeck().cards;
+  const hands = Array.from({ length: options.hands }, () => randomHand(deck, 7));
+  const codes = hands.map(hand => hand.map(encodeCard));
+  console.log(`⏱️  ${options.hands} random 7-card hands:`);
+  const slow = time('evaluateHand', hands, hand => evaluateHand(hand));
+  const fast = time('evaluateHandFast', hands, hand => evaluateHandFast(hand));
+  const encoded = time('evaluateCodes', codes, hand => evaluateCodes(hand));
+  console.log(`🚀 ${(slow / fast).toFixed(1)}x faster from Card objects, ${(slow / encoded).toFixed(1)}x from encoded cards`);
+
+  if (mismatches > 0) process.exitCode = 1;
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
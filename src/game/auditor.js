@@ -0,0 +1,176 @@
+/**
+ * Chip conservation guard
+ * Checks a table after every action and freezes it if chips appear or vanish
+ *
+ * Events:
+ *   audited   { method } - the table is consistent after this call
+ *   violation { tableId, handNumber, method, problems, refunds, ... }
+ */
+
+const EventEmitter = require('events');
+const { GAME_PHASES } = require('./table');
+
+// Table methods that move chips, change who is seated or take a payment
+const AUDITED_METHODS = [
+  'addPlayer', 'removePlayer', 'validateAddChips', 'addChips',
+  'sitOut', 'sitIn', 'setConnected',
+  'startHand', 'fold', 'check', 'call', 'bet', 'raise', 'allIn',
+  'voteRunIt', 'handleActionTimeout', 'voidHand'
+];
+
+class ChipAuditor extends EventEmitter {
+  constructor(table) {
+    super();
+    this.table = table;
+    this.frozen = false;
+    this.violation = null;
+    this.depth = 0; // Table methods call each other, only audit the outermost call
+    this.expectedTotal = this._countChips();
+    this.snapshot = this._takeSnapshot();
+    this._wrap();
+  }
+
+  // Every chip the table is responsible for: stacks, chips bought but not yet
+  // on a stack, the pot while a hand is running and rake already taken
+  _countChips() {
+    let total = this.table.rakeCollected;
+    for (const player of this.table.players.values()) {
+      total += player.chips + player.pendingChips;
+    }
+    if (this.table.isHandInProgress()) {
+      total += this.table.pot;
+    }
+    return total;
+  }
+
+  // Stacks between hands, what everyone is refunded if the table breaks
+  _takeSnapshot() {
+    const players = {};
+    for (const [playerId, player] of this.table.players) {
+      players[playerId] = { moltbookId: player.moltbookId, chips: player.chips + player.pendingChips };
+    }
+    return { handNumber: this.table.handNumber, timestamp: Date.now(), players };
+  }
+
+  _wrap() {
+    for (const method of AUDITED_METHODS) {
+      const original = this.table[method].bind(this.table);
+      this.table[method] = (...args) => {
+        if (this.frozen) {
+          // Paying everyone out is all a frozen table still does
+          if (method === 'removePlayer') return original(...args);
+          throw new Error('Table is frozen pending admin review');
+        }
+
+        this.depth++;
+        try {
+          const result = original(...args);
+          if (this.depth === 1) this._recordTransfer(method, args, result);
+          return result;
+        } finally {
+          this.depth--;
+          if (this.depth === 0) this.audit(method);
+        }
+      };
+    }
+
+    const canStartHand = this.table.canStartHand.bind(this.table);
+    this.table.canStartHand = () => !this.frozen && canStartHand();
+  }
+
+  // Chips that legitimately enter or leave the table
+  _recordTransfer(method, args, result) {
+    const players = this.snapshot.players;
+
+    if (method === 'addPlayer') {
+      const [moltbookId, , buyIn] = args;
+      this.expectedTotal += buyIn;
+      players[result.playerId] = { moltbookId, chips: buyIn };
+    } else if (method === 'addChips') {
+      const [playerId, amount] = args;
+      this.expectedTotal += amount;
+      players[playerId].chips += amount;
+    } else if (method === 'removePlayer' && result !== null) {
+      const [playerId] = args;
+      this.expectedTotal -= result;
+      // Anything they leave in the pot mid-hand is still theirs in a refund
+      players[playerId].chips -= result;
+      if (players[playerId].chips <= 0) delete players[playerId];
+    } else if (method === 'voidHand') {
+      // Bets of players who already left are paid back off the table
+      for (const { playerId, amount } of result) {
+        this.expectedTotal -= amount;
+        if (!players[playerId]) continue;
+        players[playerId].chips -= amount;
+        if (players[playerId].chips <= 0) delete players[playerId];
+      }
+    }
+  }
+
+  audit(method) {
+    const table = this.table;
+    const problems = [];
+
+    const total = this._countChips();
+    if (total !== this.expectedTotal) {
+      problems.push(`Table holds ${total} chips, expected ${this.expectedTotal}`);
+    }
+    for (const player of table.players.values()) {
+      if (!Number.isInteger(player.chips) || player.chips < 0) {
+        problems.push(`${player.moltbookId} has ${player.chips} chips`);
+      }
+    }
+    table.seats.forEach((playerId, seat) => {
+      if (playerId !== null && !table.players.has(playerId)) {
+        problems.push(`Seat ${seat} points at missing player ${playerId}`);
+      }
+    });
+
+    if (problems.length > 0) {
+      this._freeze(method, problems);
+      return false;
+    }
+
+    if (!table.isHandInProgress()) {
+      this.snapshot = this._takeSnapshot();
+    }
+    this.emit('audited', { method });
+    return true;
+  }
+
+  // Stop the table and put every stack back to the last consistent snapshot
+  _freeze(method, problems) {
+    const table = this.table;
+    this.frozen = true;
+
+    table.phase = GAME_PHASES.WAITING;
+    table.pot = 0;
+    table.currentPlayerSeat = null;
+    table.actionDeadline = null;
+    table.turnStartedAt = null;
+
+    const refunds = [];
+    for (const [playerId, entry] of Object.entries(this.snapshot.players)) {
+      const player = table.players.get(playerId);
+      if (player) {
+        player.reset();
+        player.chips = entry.chips;
+        player.pendingChips = 0;
+      }
+      refunds.push({ playerId, moltbookId: entry.moltbookId, amount: entry.chips, seated: !!player });
+    }
+
+    this.violation = {
+      tableId: table.id,
+      handNumber: table.handNumber,
+      method,
+      problems,
+      refunds,
+      snapshotHandNumber: this.snapshot.handNumber,
+      timestamp: Date.now()
+    };
+    this.emit('violation', this.violation);
+  }
+}
+
+module.exports = { ChipAuditor };
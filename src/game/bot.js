@@ -23,7 +23,7 @@ class PokerBot {
   /**
    * Decide action based on game state
    * @param {Object} state - Current game state
-   * @returns {Object} - { action: string, amount?: number }
+   * @returns {Object} - { action: string, by?: number } where by is the raise on top of the current bet
    */
   decideAction(state) {
     const { myCards, communityCards, pot, currentBet, myChips, phase } = state;
@@ -41,7 +41,7 @@ class PokerBot {
       if (handStrength > 0.7 || (handStrength > 0.4 && Math.random() < this.bluffFrequency)) {
         // Strong hand or bluffing - raise
         const raiseAmount = this._calculateRaise(pot, myChips, handStrength);
-        return { action: 'raise', amount: raiseAmount };
+        return { action: 'raise', by: raiseAmount };
       }
       return { action: 'check' };
     }
@@ -52,7 +52,7 @@ class PokerBot {
       if (handStrength > 0.8 && myChips > toCall * 3) {
         // Very strong - raise
         const raiseAmount = this._calculateRaise(pot, myChips, handStrength);
-        return { action: 'raise', amount: raiseAmount };
+        return { action: 'raise', by: raiseAmount };
       }
       return { action: 'call' };
     }
@@ -60,7 +60,7 @@ class PokerBot {
     // Bluff sometimes
     if (Math.random() < this.bluffFrequency * 0.5) {
       if (Math.random() < 0.3) {
-        return { action: 'raise', amount: toCall + Math.floor(pot * 0.5) };
+        return { action: 'raise', by: Math.floor(pot * 0.5) };
       }
       return { action: 'call' };
     }
@@ -109,6 +109,7 @@ class PokerBot {
     return Math.min(strength, 1);
   }
 
+  // Size of the raise on top of the current bet, the server clamps it to the legal range
   _calculateRaise(pot, chips, strength) {
     const minRaise = Math.floor(pot * 0.5);
     const maxRaise = Math.min(chips, pot * 2);
@@ -1,12 +1,96 @@
 /**
  * Deck and card management with cryptographic security
  * Uses commitment scheme to prevent cheating
+ *
+ * Decks can also be shuffled from a server seed plus seeds committed by the
+ * players. The seeds are revealed with the salt, so anyone can shuffle the
+ * same deck again and check it against the commitment.
+ *
+ * Each deck is also committed to as a Merkle root over salted per-card
+ * leaves, so single cards can be proven without revealing the rest.
  */
 
 const crypto = require('crypto');
 
 const SUITS = ['♠', '♥', '♦', '♣'];
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+const SHORT_DECK_RANKS = RANKS.slice(RANKS.indexOf('6')); // 6+ Hold'em, 36 cards
+const SEED_PATTERN = /^[0-9a-f]{32,128}$/i;
+const UINT32_RANGE = 2 ** 32;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function hashSeed(seed) {
+  return sha256(seed);
+}
+
+// The key for a seeded shuffle: the server seed and every player seed, in seat order
+function shuffleKey(serverSeed, playerSeeds = []) {
+  return hashSeed([serverSeed, ...playerSeeds.map(p => p.seed)].join(':'));
+}
+
+// Revealing one card's salt gives away neither the deck salt nor any other card's
+function cardSalt(salt, position) {
+  return crypto.createHmac('sha256', salt).update(String(position)).digest('hex');
+}
+
+function merkleLeaf(position, card, salt) {
+  return sha256(`${position}:${card}:${salt}`);
+}
+
+// Every level of the Merkle tree over the deck in deal order, leaves first.
+// An odd node out is paired with itself.
+function buildMerkleTree(dealOrder, salt) {
+  const levels = [dealOrder.map((card, i) => merkleLeaf(i, card, cardSalt(salt, i)))];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(sha256(level[i] + (level[i + 1] ?? level[i])));
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+// Check one card's inclusion proof { position, card, salt, path } against the root
+function verifyCardProof(root, { position, card, salt, path }) {
+  let hash = merkleLeaf(position, card, salt);
+  let index = position;
+  for (const sibling of path) {
+    hash = sha256(index % 2 ? sibling + hash : hash + sibling);
+    index = Math.floor(index / 2);
+  }
+  return hash === root;
+}
+
+// Deterministic random bytes from a key: HMAC-SHA256 of a counter, one block per draw
+function seededBytes(key) {
+  let counter = 0;
+  return (size) => crypto.createHmac('sha256', key).update(String(counter++)).digest().subarray(0, size);
+}
+
+// Uniform index in [0, n). A 32-bit draw reduced with % n favours the first
+// 2^32 % n results, so draws from that last partial run are thrown away.
+function randomIndex(random, n) {
+  const limit = UINT32_RANGE - (UINT32_RANGE % n);
+  let value;
+  do {
+    value = random(4).readUInt32BE(0);
+  } while (value >= limit);
+  return value % n;
+}
+
+// Fisher-Yates in place, drawing bytes from random(size)
+function shuffleCards(cards, random = crypto.randomBytes) {
+  for (let i = cards.length - 1; i > 0; i--) {
+    const j = randomIndex(random, i + 1);
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+  return cards;
+}
 
 class Card {
   constructor(rank, suit) {
@@ -22,51 +106,94 @@ class Card {
   toJSON() {
     return { rank: this.rank, suit: this.suit };
   }
+
+  static fromJSON({ rank, suit }) {
+    return new Card(rank, suit);
+  }
 }
 
 class SecureDeck {
-  constructor() {
+  constructor(options = {}) {
+    this.shortDeck = options.shortDeck || false;
     this.cards = [];
     this.salt = crypto.randomBytes(32).toString('hex');
     this.commitment = null;
+    this.order = null; // The full deck as committed, dealt from the end
+    this.merkleRoot = null;
     this.revealed = false;
+    this.serverSeed = options.serverSeed || null;
+    this.playerSeeds = options.playerSeeds || []; // [{ playerId, seed }] in seat order
     this._buildDeck();
-    this._shuffle();
+    if (options.order) {
+      this._arrange(options.order);
+    } else {
+      this._shuffle(this.serverSeed && shuffleKey(this.serverSeed, this.playerSeeds));
+    }
     this._generateCommitment();
   }
 
   _buildDeck() {
     this.cards = [];
+    const ranks = this.shortDeck ? SHORT_DECK_RANKS : RANKS;
     for (const suit of SUITS) {
-      for (const rank of RANKS) {
+      for (const rank of ranks) {
         this.cards.push(new Card(rank, suit));
       }
     }
   }
 
-  _shuffle() {
-    // Fisher-Yates with crypto-secure randomness
-    for (let i = this.cards.length - 1; i > 0; i--) {
-      const randomBytes = crypto.randomBytes(4);
-      const j = randomBytes.readUInt32BE(0) % (i + 1);
-      [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
+  _shuffle(key = null) {
+    // Crypto-secure randomness, or a stream anyone holding the key can repeat
+    shuffleCards(this.cards, key ? seededBytes(key) : crypto.randomBytes);
+  }
+
+  // Stack the deck so cards come out in the given order, first card dealt
+  // first. Used to replay a recorded hand; must be a full deck.
+  _arrange(order) {
+    const names = order.map(c => c.toString());
+    const expected = this.cards.map(c => c.toString()).sort();
+    if (names.length !== expected.length || [...names].sort().some((name, i) => name !== expected[i])) {
+      throw new Error('Deck order must contain every card exactly once');
     }
+    this.cards = order.map(c => new Card(c.rank, c.suit)).reverse();
   }
 
   _generateCommitment() {
     // Create a cryptographic commitment to the deck order
     // This proves the deck wasn't modified after dealing started
-    const deckString = this.cards.map(c => c.toString()).join(',');
+    this.order = this.cards.map(c => c.toString());
+    const deckString = this.order.join(',');
     this.commitment = crypto
       .createHash('sha256')
       .update(deckString + this.salt)
       .digest('hex');
+    this.merkleRoot = buildMerkleTree([...this.order].reverse(), this.salt).pop()[0];
   }
 
   getCommitment() {
     return this.commitment;
   }
 
+  getMerkleRoot() {
+    return this.merkleRoot;
+  }
+
+  // Inclusion proofs for the cards dealt at these positions (0 = first card dealt)
+  proveCards(positions) {
+    if (!this.order) return []; // Restored from a snapshot taken before decks kept their order
+    const dealOrder = [...this.order].reverse();
+    const levels = buildMerkleTree(dealOrder, this.salt);
+    return positions.map(position => {
+      const path = [];
+      let index = position;
+      for (const level of levels.slice(0, -1)) {
+        path.push(level[index ^ 1] ?? level[index]);
+        index = Math.floor(index / 2);
+      }
+      return { position, card: dealOrder[position], salt: cardSalt(this.salt, position), path };
+    });
+  }
+
   deal() {
     if (this.cards.length === 0) {
       throw new Error('Deck is empty');
@@ -74,19 +201,56 @@ class SecureDeck {
     return this.cards.pop();
   }
 
-  // Reveal salt at end of hand so players can verify deck was fair
+  // Reveal salt and the committed order at end of hand so players can verify deck was fair
   revealSalt() {
     this.revealed = true;
-    return {
+    const reveal = {
       salt: this.salt,
       commitment: this.commitment,
+      merkleRoot: this.merkleRoot,
+      order: this.order,
       remainingCards: this.cards.map(c => c.toString())
     };
+    if (this.serverSeed) {
+      reveal.serverSeed = this.serverSeed;
+      reveal.playerSeeds = this.playerSeeds;
+    }
+    return reveal;
   }
 
   cardsRemaining() {
     return this.cards.length;
   }
+
+  // Remaining order, salt and commitment, enough to keep dealing after a restart
+  toSnapshot() {
+    return {
+      shortDeck: this.shortDeck,
+      cards: this.cards.map(c => c.toJSON()),
+      salt: this.salt,
+      commitment: this.commitment,
+      order: this.order,
+      merkleRoot: this.merkleRoot,
+      revealed: this.revealed,
+      serverSeed: this.serverSeed,
+      playerSeeds: this.playerSeeds
+    };
+  }
+
+  static fromSnapshot(snapshot) {
+    // Skip the constructor, the order was fixed when the deck was committed
+    const deck = Object.create(SecureDeck.prototype);
+    deck.shortDeck = snapshot.shortDeck;
+    deck.cards = snapshot.cards.map(Card.fromJSON);
+    deck.salt = snapshot.salt;
+    deck.commitment = snapshot.commitment;
+    deck.order = snapshot.order ?? null;
+    deck.merkleRoot = snapshot.merkleRoot ?? null;
+    deck.revealed = snapshot.revealed;
+    deck.serverSeed = snapshot.serverSeed ?? null;
+    deck.playerSeeds = snapshot.playerSeeds ?? [];
+    return deck;
+  }
 }
 
-module.exports = { Card, SecureDeck, SUITS, RANKS };
+module.exports = { Card, SecureDeck, SUITS, RANKS, SHORT_DECK_RANKS, SEED_PATTERN, hashSeed, shuffleKey, buildMerkleTree, verifyCardProof, shuffleCards };
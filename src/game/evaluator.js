@@ -1,6 +1,9 @@
 /**
  * Texas Hold'em hand evaluator
  * Evaluates best 5-card hand from 7 cards (2 hole + 5 community)
+ * Omaha mode uses exactly 2 of the hole cards with exactly 3 from the board
+ * Short-deck mode: flush beats full house and A-6-7-8-9 is the lowest straight
+ * lookup-evaluator.js gives the same results for 5 to 7 cards, much faster
  */
 
 const { RANKS } = require('./deck');
@@ -31,7 +34,13 @@ const HAND_NAMES = {
   10: 'Royal Flush'
 };
 
-function evaluateHand(cards) {
+// Short deck swaps flush and full house; other rankings keep their order
+const SHORT_DECK_ORDER = {
+  [HAND_RANKINGS.FLUSH]: HAND_RANKINGS.FULL_HOUSE,
+  [HAND_RANKINGS.FULL_HOUSE]: HAND_RANKINGS.FLUSH
+};
+
+function evaluateHand(cards, options = {}) {
   if (cards.length < 5) {
     throw new Error('Need at least 5 cards to evaluate');
   }
@@ -41,7 +50,7 @@ function evaluateHand(cards) {
   let bestHand = null;
 
   for (const combo of combinations) {
-    const result = evaluate5Cards(combo);
+    const result = evaluate5Cards(combo, options);
     if (!bestHand || compareHands(result, bestHand) > 0) {
       bestHand = result;
       bestHand.cards = combo;
@@ -51,6 +60,26 @@ function evaluateHand(cards) {
   return bestHand;
 }
 
+function evaluateOmahaHand(holeCards, communityCards) {
+  if (holeCards.length < 2 || communityCards.length < 3) {
+    throw new Error('Omaha needs at least 2 hole cards and 3 community cards');
+  }
+
+  let bestHand = null;
+  for (const hole of getCombinations(holeCards, 2)) {
+    for (const board of getCombinations(communityCards, 3)) {
+      const combo = [...hole, ...board];
+      const result = evaluate5Cards(combo);
+      if (!bestHand || compareHands(result, bestHand) > 0) {
+        bestHand = result;
+        bestHand.cards = combo;
+      }
+    }
+  }
+
+  return bestHand;
+}
+
 function getCombinations(arr, size) {
   if (size === 1) return arr.map(el => [el]);
   const result = [];
@@ -61,14 +90,22 @@ function getCombinations(arr, size) {
   return result;
 }
 
-function evaluate5Cards(cards) {
+function evaluate5Cards(cards, options = {}) {
+  const result = rank5Cards(cards, options);
+  if (options.shortDeck) result.shortDeck = true;
+  return result;
+}
+
+function rank5Cards(cards, options) {
   const sorted = [...cards].sort((a, b) => b.value - a.value);
   const ranks = sorted.map(c => c.value);
   const suits = sorted.map(c => c.suit);
   
   const isFlush = suits.every(s => s === suits[0]);
   const isStraight = checkStraight(ranks);
-  const isWheelStraight = checkWheelStraight(ranks);
+  const isWheelStraight = options.shortDeck ? checkShortDeckWheel(ranks) : checkWheelStraight(ranks);
+  // Kickers for the lowest straight: 5-high normally, 9-high in short deck
+  const wheelKickers = options.shortDeck ? [7, 6, 5, 4, -1] : [3, 2, 1, 0, -1];
   
   const rankCounts = {};
   for (const rank of ranks) {
@@ -81,7 +118,7 @@ function evaluate5Cards(cards) {
     return { ranking: HAND_RANKINGS.ROYAL_FLUSH, kickers: ranks };
   }
   if (isFlush && (isStraight || isWheelStraight)) {
-    return { ranking: HAND_RANKINGS.STRAIGHT_FLUSH, kickers: isWheelStraight ? [3, 2, 1, 0, -1] : ranks };
+    return { ranking: HAND_RANKINGS.STRAIGHT_FLUSH, kickers: isWheelStraight ? wheelKickers : ranks };
   }
   if (counts[0] === 4) {
     return { ranking: HAND_RANKINGS.FOUR_OF_A_KIND, kickers: getKickers(rankCounts, [4, 1]) };
@@ -93,7 +130,7 @@ function evaluate5Cards(cards) {
     return { ranking: HAND_RANKINGS.FLUSH, kickers: ranks };
   }
   if (isStraight || isWheelStraight) {
-    return { ranking: HAND_RANKINGS.STRAIGHT, kickers: isWheelStraight ? [3] : [ranks[0]] };
+    return { ranking: HAND_RANKINGS.STRAIGHT, kickers: isWheelStraight ? [wheelKickers[0]] : [ranks[0]] };
   }
   if (counts[0] === 3) {
     return { ranking: HAND_RANKINGS.THREE_OF_A_KIND, kickers: getKickers(rankCounts, [3, 1, 1]) };
@@ -121,6 +158,12 @@ function checkWheelStraight(ranks) {
   return JSON.stringify([...ranks].sort((a, b) => b - a)) === JSON.stringify(wheel);
 }
 
+function checkShortDeckWheel(ranks) {
+  // A-6-7-8-9 (the ace plays low below the 6)
+  const wheel = [12, 7, 6, 5, 4];
+  return JSON.stringify([...ranks].sort((a, b) => b - a)) === JSON.stringify(wheel);
+}
+
 function getKickers(rankCounts, pattern) {
   const kickers = [];
   const entries = Object.entries(rankCounts)
@@ -137,8 +180,10 @@ function getKickers(rankCounts, pattern) {
 }
 
 function compareHands(a, b) {
-  if (a.ranking !== b.ranking) {
-    return a.ranking - b.ranking;
+  const orderA = handOrder(a);
+  const orderB = handOrder(b);
+  if (orderA !== orderB) {
+    return orderA - orderB;
   }
   for (let i = 0; i < a.kickers.length; i++) {
     if (a.kickers[i] !== b.kickers[i]) {
@@ -148,8 +193,12 @@ function compareHands(a, b) {
   return 0;
 }
 
+function handOrder(hand) {
+  return hand.shortDeck ? SHORT_DECK_ORDER[hand.ranking] || hand.ranking : hand.ranking;
+}
+
 function getHandName(ranking) {
   return HAND_NAMES[ranking];
 }
 
-module.exports = { evaluateHand, compareHands, getHandName, HAND_RANKINGS };
+module.exports = { evaluateHand, evaluateOmahaHand, compareHands, getHandName, HAND_RANKINGS };
@@ -0,0 +1,173 @@
+/**
+ * Lookup-table hand evaluator
+ * Gives the same { ranking, kickers } as evaluateHand() for 5 to 7 cards
+ * without trying every 5-card combination. Cards are encoded as integers
+ * (rank * 4 + suit). A flush is looked up by the bit mask of its suit's
+ * ranks, anything else by how many of each rank there are. Both decks'
+ * tables are built when the module loads (a few hundred ms), so no showdown
+ * waits on them. Every lookup of a hand returns the same result object, so
+ * results are frozen.
+ */
+
+const { SUITS } = require('./deck');
+const { HAND_RANKINGS } = require('./evaluator');
+
+const RANK_COUNT = 13;
+const ACE = 12;
+const POW5 = Array.from({ length: RANK_COUNT }, (_, rank) => 5 ** rank);
+
+// The lowest straight: A-2-3-4-5 normally, A-6-7-8-9 in short deck
+const WHEELS = {
+  standard: { ranks: [ACE, 3, 2, 1, 0], kickers: [3, 2, 1, 0, -1], lowest: 0 },
+  shortDeck: { ranks: [ACE, 7, 6, 5, 4], kickers: [7, 6, 5, 4, -1], lowest: 4 }
+};
+
+const suitMasks = new Uint16Array(4);
+const suitCounts = new Uint8Array(4);
+
+function encodeCard(card) {
+  return card.value * 4 + SUITS.indexOf(card.suit);
+}
+
+function evaluateHandFast(cards, options = {}) {
+  return evaluateCodes(cards.map(encodeCard), options);
+}
+
+// Best hand from 5 to 7 encoded cards
+function evaluateCodes(codes, options = {}) {
+  if (codes.length < 5 || codes.length > 7) {
+    throw new Error('Lookup evaluator takes 5 to 7 cards');
+  }
+
+  const table = options.shortDeck ? TABLES.shortDeck : TABLES.standard;
+  suitMasks.fill(0);
+  suitCounts.fill(0);
+  let key = 0;
+  for (const code of codes) {
+    const rank = code >> 2;
+    const suit = code & 3;
+    suitMasks[suit] |= 1 << rank;
+    suitCounts[suit]++;
+    key += POW5[rank];
+  }
+
+  // Five of a suit leave too few cards for a full house or quads, so the
+  // flush (or straight flush) is the best hand
+  for (let suit = 0; suit < 4; suit++) {
+    if (suitCounts[suit] >= 5) return table.flushes[suitMasks[suit]];
+  }
+  return table.ranks.get(key);
+}
+
+function buildTables(mode) {
+  return { flushes: buildFlushTable(mode), ranks: buildRankTable(mode) };
+}
+
+// Every suit mask with at least five ranks
+function buildFlushTable(mode) {
+  const flushes = new Array(1 << RANK_COUNT).fill(null);
+  for (let mask = 0; mask < flushes.length; mask++) {
+    const ranks = ranksIn(mask);
+    if (ranks.length < 5) continue;
+
+    const straight = bestStraight(mask, mode);
+    if (straight === null) {
+      flushes[mask] = result(HAND_RANKINGS.FLUSH, ranks.slice(0, 5), mode);
+    } else if (straight.high === ACE) {
+      flushes[mask] = result(HAND_RANKINGS.ROYAL_FLUSH, [12, 11, 10, 9, 8], mode);
+    } else {
+      const kickers = straight.wheel ? WHEELS[mode].kickers : [0, 1, 2, 3, 4].map(i => straight.high - i);
+      flushes[mask] = result(HAND_RANKINGS.STRAIGHT_FLUSH, kickers, mode);
+    }
+  }
+  return flushes;
+}
+
+// Every way 5 to 7 cards can fall across the ranks, keyed by the counts in base 5
+function buildRankTable(mode) {
+  const table = new Map();
+  const counts = new Array(RANK_COUNT).fill(0);
+  const fill = (rank, cards, key) => {
+    if (rank === RANK_COUNT) {
+      if (cards >= 5) table.set(key, rankHand(counts, mode));
+      return;
+    }
+    const most = rank < WHEELS[mode].lowest ? 0 : 4; // Short deck has no 2s to 5s
+    for (let n = 0; n <= most && cards + n <= 7; n++) {
+      counts[rank] = n;
+      fill(rank + 1, cards + n, key + n * POW5[rank]);
+    }
+    counts[rank] = 0;
+  };
+  fill(0, 0, 0);
+  return table;
+}
+
+// The best hand from rank counts alone, with the kickers of its best five cards
+function rankHand(counts, mode) {
+  const withAtLeast = n => ranksIn(maskOf(counts, n));
+  const others = (...used) => withAtLeast(1).filter(rank => !used.includes(rank));
+
+  const quads = withAtLeast(4);
+  if (quads.length) {
+    return result(HAND_RANKINGS.FOUR_OF_A_KIND, [quads[0], others(quads[0])[0]], mode);
+  }
+
+  const trips = withAtLeast(3);
+  const pairs = withAtLeast(2);
+  if (trips.length && pairs.length > 1) {
+    return result(HAND_RANKINGS.FULL_HOUSE, [trips[0], pairs.find(rank => rank !== trips[0])], mode);
+  }
+
+  const straight = bestStraight(maskOf(counts, 1), mode);
+  if (straight) {
+    return result(HAND_RANKINGS.STRAIGHT, [straight.wheel ? WHEELS[mode].kickers[0] : straight.high], mode);
+  }
+  if (trips.length) {
+    return result(HAND_RANKINGS.THREE_OF_A_KIND, [trips[0], ...others(trips[0]).slice(0, 2)], mode);
+  }
+  if (pairs.length > 1) {
+    return result(HAND_RANKINGS.TWO_PAIR, [pairs[0], pairs[1], others(pairs[0], pairs[1])[0]], mode);
+  }
+  if (pairs.length) {
+    return result(HAND_RANKINGS.PAIR, [pairs[0], ...others(pairs[0]).slice(0, 3)], mode);
+  }
+  return result(HAND_RANKINGS.HIGH_CARD, withAtLeast(1).slice(0, 5), mode);
+}
+
+// Highest five ranks in a row in the mask, then the wheel; null if none
+function bestStraight(mask, mode) {
+  for (let high = ACE; high >= 4; high--) {
+    const run = 0b11111 << (high - 4);
+    if ((mask & run) === run) return { high, wheel: false };
+  }
+  const wheel = WHEELS[mode].ranks.reduce((bits, rank) => bits | (1 << rank), 0);
+  return (mask & wheel) === wheel ? { high: WHEELS[mode].ranks[1], wheel: true } : null;
+}
+
+function maskOf(counts, atLeast) {
+  let mask = 0;
+  for (let rank = 0; rank < RANK_COUNT; rank++) {
+    if (counts[rank] >= atLeast) mask |= 1 << rank;
+  }
+  return mask;
+}
+
+// Ranks set in the mask, highest first
+function ranksIn(mask) {
+  const ranks = [];
+  for (let rank = ACE; rank >= 0; rank--) {
+    if (mask & (1 << rank)) ranks.push(rank);
+  }
+  return ranks;
+}
+
+function result(ranking, kickers, mode) {
+  const hand = { ranking, kickers: Object.freeze(kickers) };
+  if (mode === 'shortDeck') hand.shortDeck = true;
+  return Object.freeze(hand);
+}
+
+const TABLES = { standard: buildTables('standard'), shortDeck: buildTables('shortDeck') };
+
+module.exports = { evaluateHandFast, evaluateCodes, encodeCard };
@@ -0,0 +1,56 @@
+/**
+ * Hand scheduler - owns the pause between hands and starting the next one
+ * One timer per table, so a hand can never be started twice
+ *
+ * Events:
+ *   beforeHand - just before the next hand would start, for seat cleanup
+ *   handStartFailed { error }
+ */
+
+const EventEmitter = require('events');
+
+class HandScheduler extends EventEmitter {
+  constructor(table, options = {}) {
+    super();
+    this.table = table;
+    this.betweenHands = options.betweenHands ?? 5000; // Time to show the result
+    this.timer = null;
+    this.startsAt = null;
+
+    table.on('handEnded', () => this.schedule(this.betweenHands));
+  }
+
+  // Start the next hand after delay ms. An earlier pending start wins, so
+  // players joining during the pause don't push it back.
+  schedule(delay) {
+    const startsAt = Date.now() + delay;
+    if (this.timer && this.startsAt <= startsAt) return;
+
+    this.cancel();
+    this.startsAt = startsAt;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.startsAt = null;
+      this._startHand();
+    }, delay);
+  }
+
+  cancel() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.startsAt = null;
+  }
+
+  _startHand() {
+    this.emit('beforeHand');
+    if (!this.table.canStartHand()) return;
+
+    try {
+      this.table.startHand();
+    } catch (error) {
+      this.emit('handStartFailed', { error });
+    }
+  }
+}
+
+module.exports = { HandScheduler };
@@ -0,0 +1,201 @@
+/**
+ * Shuffle audit - statistical checks that decks come out uniformly shuffled
+ *
+ * Counts where every card lands, which cards follow each other and which
+ * card is dealt first, over decks shuffled from seeds the way a table
+ * shuffles them or the decks revealed in the hand archive, and runs a
+ * chi-square test on each. Also works out exactly how biased the old modulo
+ * shuffle was.
+ */
+
+const crypto = require('crypto');
+const { SecureDeck, SUITS, RANKS, SHORT_DECK_RANKS } = require('./deck');
+
+const ALPHA = 0.001; // A test fails when its p-value is below this
+const MIN_EXPECTED = 5; // Chi-square needs about this many expected per cell
+const UINT32_RANGE = 2 ** 32;
+
+class ShuffleAudit {
+  constructor(cards) {
+    this.cards = cards;
+    this.size = cards.length;
+    this.index = new Map(cards.map((card, i) => [card, i]));
+    this.decks = 0;
+    this.positions = new Uint32Array(this.size * this.size); // position * size + card
+    this.adjacent = new Uint32Array(this.size * this.size); // card * size + next card
+  }
+
+  // One deck, in the order it is dealt
+  add(order) {
+    if (order.length !== this.size) {
+      throw new Error(`Deck has ${order.length} cards, expected ${this.size}`);
+    }
+
+    let previous = -1;
+    for (let position = 0; position < this.size; position++) {
+      const card = this.index.get(order[position]);
+      if (card === undefined) throw new Error(`Unknown card ${order[position]}`);
+      this.positions[position * this.size + card]++;
+      if (previous !== -1) this.adjacent[previous * this.size + card]++;
+      previous = card;
+    }
+    this.decks++;
+  }
+
+  report() {
+    const size = this.size;
+    // Every position holds each card, and each ordered pair of cards sits
+    // next to each other, 1/size of the time
+    const expected = this.decks / size;
+
+    let positionTotal = 0;
+    let worst = { position: 0, chiSquare: 0 };
+    for (let position = 0; position < size; position++) {
+      const chiSquare = chiSquareOf(this.positions.subarray(position * size, (position + 1) * size), expected);
+      positionTotal += chiSquare;
+      if (chiSquare > worst.chiSquare) worst = { position, chiSquare };
+    }
+
+    const pairs = [];
+    for (let card = 0; card < size; card++) {
+      for (let next = 0; next < size; next++) {
+        if (card !== next) pairs.push(this.adjacent[card * size + next]);
+      }
+    }
+
+    const firstCard = this.positions.subarray(0, size);
+    const tests = {
+      positions: test(positionTotal, (size - 1) ** 2, {
+        worstPosition: { ...worst, pValue: chiSquarePValue(worst.chiSquare, size - 1) }
+      }),
+      adjacency: test(chiSquareOf(pairs, expected), pairs.length - 1),
+      firstCard: test(chiSquareOf(firstCard, expected), size - 1, {
+        counts: Object.fromEntries(this.cards.map((card, i) => [card, firstCard[i]]))
+      })
+    };
+
+    const reliable = expected >= MIN_EXPECTED;
+    return {
+      decks: this.decks,
+      size,
+      expectedPerCell: expected,
+      reliable,
+      alpha: ALPHA,
+      uniform: reliable ? Object.values(tests).every(t => t.pass) : null,
+      tests
+    };
+  }
+}
+
+function chiSquareOf(observed, expected) {
+  let total = 0;
+  for (const count of observed) total += (count - expected) ** 2 / expected;
+  return total;
+}
+
+function test(chiSquare, df, extra = {}) {
+  const pValue = chiSquarePValue(chiSquare, df);
+  return { chiSquare, df, pValue, pass: pValue >= ALPHA, ...extra };
+}
+
+// Upper tail of the chi-square distribution. Wilson-Hilferty: the cube root
+// of chiSquare / df is close to normal at the degrees of freedom used here.
+function chiSquarePValue(chiSquare, df) {
+  const variance = 2 / (9 * df);
+  const z = (Math.cbrt(chiSquare / df) - (1 - variance)) / Math.sqrt(variance);
+  return erfc(z / Math.SQRT2) / 2;
+}
+
+// Complementary error function, fractional error below 1.2e-7
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + z / 2);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+// An unshuffled deck as card strings
+function freshDeck(shortDeck = false) {
+  const ranks = shortDeck ? SHORT_DECK_RANKS : RANKS;
+  return SUITS.flatMap(suit => ranks.map(rank => `${rank}${suit}`));
+}
+
+// Deal this many decks the way a table does, each from a fresh random server
+// seed and player seed, and audit them. Works in batches and yields in
+// between, so a server keeps going.
+async function auditShuffles({ shuffles = 100000, shortDeck = false, batch = 1000, onProgress } = {}) {
+  const audit = new ShuffleAudit(freshDeck(shortDeck));
+  const randomSeed = () => crypto.randomBytes(32).toString('hex');
+
+  for (let done = 0; done < shuffles;) {
+    const count = Math.min(batch, shuffles - done);
+    for (let i = 0; i < count; i++) {
+      const deck = new SecureDeck({
+        shortDeck,
+        serverSeed: randomSeed(),
+        playerSeeds: [{ playerId: 'audit', seed: randomSeed() }]
+      });
+      // Cards come off the end of the committed order
+      audit.add([...deck.order].reverse());
+    }
+    done += count;
+    if (onProgress) onProgress(done, shuffles);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return { source: 'simulated', shortDeck, ...audit.report() };
+}
+
+// Audit the decks revealed in archived hands, one report per deck size
+async function auditArchive(archive, { batch = 1000 } = {}) {
+  const audits = new Map();
+  let hands = 0;
+  let skipped = 0;
+
+  for (const record of archive.records()) {
+    const order = record.deckReveal?.order ? [...record.deckReveal.order].reverse() : record.deckOrder;
+    if (!order) {
+      skipped++; // Archived before decks were kept
+    } else {
+      if (!audits.has(order.length)) {
+        audits.set(order.length, new ShuffleAudit(freshDeck(order.length === SUITS.length * SHORT_DECK_RANKS.length)));
+      }
+      audits.get(order.length).add(order);
+    }
+    if (++hands % batch === 0) await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return {
+    source: 'archive',
+    hands,
+    skipped,
+    decks: Object.fromEntries(Array.from(audits, ([size, audit]) => [size, audit.report()]))
+  };
+}
+
+// Exactly how uneven the old readUInt32BE % (i + 1) shuffle was: for each
+// range it drew from, 2^32 % n results were one draw in floor(2^32 / n)
+// more likely than the rest. The live shuffle rejects those draws.
+function moduloBias(shortDeck = false) {
+  const size = freshDeck(shortDeck).length;
+  let worst = { range: 1, bias: 0 };
+  let biasedRanges = 0;
+  for (let n = 2; n <= size; n++) {
+    if (UINT32_RANGE % n === 0) continue;
+    biasedRanges++;
+    const bias = 1 / Math.floor(UINT32_RANGE / n);
+    if (bias > worst.bias) worst = { range: n, bias };
+  }
+
+  return {
+    size,
+    biasedRanges,
+    worst,
+    // Around this many shuffles before sampling noise is smaller than the bias
+    shufflesToNotice: Math.round(1 / worst.bias ** 2)
+  };
+}
+
+module.exports = { ShuffleAudit, auditShuffles, auditArchive, moduloBias, chiSquarePValue, freshDeck };
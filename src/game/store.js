@@ -0,0 +1,63 @@
+/**
+ * Table snapshots (Persistent)
+ * One JSON file per table, rewritten after every change so a restart
+ * doesn't wipe out the chips on the tables
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR = path.join(__dirname, '../../data/tables');
+
+class TableStore {
+  constructor(dir = SNAPSHOT_DIR) {
+    this.dir = dir;
+  }
+
+  save(table) {
+    try {
+      if (!fs.existsSync(this.dir)) {
+        fs.mkdirSync(this.dir, { recursive: true });
+      }
+
+      // Write then rename, so a crash mid-write never leaves half a snapshot
+      const file = this._file(table.id);
+      const data = { savedAt: Date.now(), table: table.toSnapshot() };
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (err) {
+      console.error(`Failed to save table ${table.id}:`, err.message);
+    }
+  }
+
+  // Returns { savedAt, table } or null when there's nothing usable on disk
+  load(tableId) {
+    const file = this._file(tableId);
+    if (!fs.existsSync(file)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.error(`Failed to load table ${tableId}:`, err.message);
+      this.quarantine(tableId);
+      return null;
+    }
+  }
+
+  // Move a snapshot that can't be restored out of the way, keeping it for
+  // an operator to settle by hand
+  quarantine(tableId) {
+    const file = this._file(tableId);
+    try {
+      fs.renameSync(file, `${file}.bad-${Date.now()}`);
+    } catch (err) {
+      console.error(`Failed to set aside snapshot for ${tableId}:`, err.message);
+    }
+  }
+
+  _file(tableId) {
+    return path.join(this.dir, `${tableId}.json`);
+  }
+}
+
+module.exports = { TableStore };
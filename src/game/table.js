@@ -1,9 +1,29 @@
 /**
  * Poker Table - manages game state, betting, and player actions
+ *
+ * Events:
+ *   handStarted  { handNumber, dealerSeat, playerIds }
+ *   actionTaken  { playerId, type, amount, to?, by?, allIn?, timedOut? }
+ *   streetDealt  { handNumber, phase, cards, board }
+ *   handEnded    { handNumber, handId, result, record } - result is what the final
+ *                action returned, record the full hand for the archive
+ *   playerBusted { playerId, moltbookId }
  */
 
-const { SecureDeck } = require('./deck');
-const { evaluateHand, compareHands, getHandName } = require('./evaluator');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { Card, SecureDeck, SEED_PATTERN, hashSeed } = require('./deck');
+const { evaluateOmahaHand, compareHands, getHandName } = require('./evaluator');
+const { evaluateHandFast } = require('./lookup-evaluator');
+
+const BETTING_STRUCTURES = ['no-limit', 'pot-limit', 'fixed-limit'];
+
+// Hole cards dealt per player and any betting structure a variant requires
+const GAME_VARIANTS = {
+  holdem: { holeCards: 2 },
+  omaha: { holeCards: 4, bettingStructure: 'pot-limit' },
+  shortdeck: { holeCards: 2, deck: { shortDeck: true } }
+};
 
 const GAME_PHASES = {
   WAITING: 'waiting',
@@ -25,9 +45,32 @@ class Player {
     this.totalBetThisHand = 0;
     this.folded = false;
     this.allIn = false;
+    this.dealtIn = false;
     this.isConnected = true;
     this.lastAction = null;
+    this.raisesSeen = 0;
     this.lastActionTime = null;
+    this.timeBank = 0; // Extra ms available once the action clock runs out
+    this.timeouts = 0; // Consecutive hands where the clock acted for them
+    this.lastTimeoutHand = null; // Hand number the clock last acted for them in
+    this.sittingOut = false;
+    this.sitOutSince = null;
+    this.sitOutReason = null;
+    this.waitForBigBlind = false;
+    this.missedSmallBlind = false;
+    this.missedBigBlind = false;
+    this.pendingChips = 0; // Paid for, added when the current hand ends
+    this.autoRebuy = null; // { threshold, to }
+  }
+
+  toSnapshot() {
+    return { ...this, holeCards: this.holeCards.map(c => c.toJSON()) };
+  }
+
+  static fromSnapshot(snapshot) {
+    const player = new Player(snapshot.id, snapshot.moltbookId, snapshot.walletAddress, snapshot.chips);
+    Object.assign(player, snapshot, { holeCards: snapshot.holeCards.map(Card.fromJSON) });
+    return player;
   }
 
   reset() {
@@ -36,7 +79,9 @@ class Player {
     this.totalBetThisHand = 0;
     this.folded = false;
     this.allIn = false;
+    this.dealtIn = false;
     this.lastAction = null;
+    this.raisesSeen = 0; // Full raises this street as of this player's last action
   }
 
   toPublic() {
@@ -48,6 +93,10 @@ class Player {
       folded: this.folded,
       allIn: this.allIn,
       isConnected: this.isConnected,
+      sittingOut: this.sittingOut,
+      waitForBigBlind: this.waitForBigBlind,
+      pendingChips: this.pendingChips,
+      timeBank: this.timeBank,
       hasCards: this.holeCards.length > 0
     };
   }
@@ -60,39 +109,97 @@ class Player {
   }
 }
 
-class Table {
+class Table extends EventEmitter {
   constructor(id, config = {}) {
+    super();
     this.id = id;
+    this.config = { ...config }; // Kept so a snapshot can rebuild the table
     this.name = config.name || `Table ${id}`;
     this.maxPlayers = config.maxPlayers || 6;
     this.smallBlind = config.smallBlind || 10;
     this.bigBlind = config.bigBlind || 20;
+    this.ante = config.ante || 0; // Dead ante posted by every player
+    this.bigBlindAnte = config.bigBlindAnte || 0; // Dead ante posted by the big blind for the table
+    this.straddle = config.straddle || null; // 'utg' | 'button'
+    this.straddleAmount = config.straddleAmount || this.bigBlind * 2;
+    this.variant = config.variant || 'holdem';
+    const variant = GAME_VARIANTS[this.variant];
+    if (!variant) {
+      throw new Error(`Unknown game variant: ${this.variant}`);
+    }
+    this.holeCardCount = variant.holeCards;
+    this.deckOptions = variant.deck || {};
+    if (variant.bettingStructure && config.bettingStructure && config.bettingStructure !== variant.bettingStructure) {
+      throw new Error(`${this.variant} tables must use ${variant.bettingStructure} betting`);
+    }
+    this.bettingStructure = variant.bettingStructure || config.bettingStructure || 'no-limit';
+    if (!BETTING_STRUCTURES.includes(this.bettingStructure)) {
+      throw new Error(`Unknown betting structure: ${this.bettingStructure}`);
+    }
+    // Fixed-limit bet sizes: small bet preflop and flop, big bet on turn and river
+    this.smallBet = config.smallBet || this.bigBlind;
+    this.bigBet = config.bigBet || this.bigBlind * 2;
+    this.raiseCap = config.raiseCap || 4; // Bet plus three raises per street
+    this.raisesThisStreet = 0;
     this.minBuyIn = config.minBuyIn || this.bigBlind * 20;
     this.maxBuyIn = config.maxBuyIn || this.bigBlind * 100;
-    this.rake = config.rake || 0.05; // 5% rake
+    this.rake = config.rake ?? 0.05; // 5% rake
     this.rakeMax = config.rakeMax || 100;
+
+    // Chips are whole base units everywhere
+    for (const key of ['smallBlind', 'bigBlind', 'ante', 'bigBlindAnte', 'straddleAmount', 'smallBet', 'bigBet', 'minBuyIn', 'maxBuyIn', 'rakeMax']) {
+      if (!Number.isInteger(this[key]) || this[key] < 0) {
+        throw new Error(`${key} must be a whole number of chips`);
+      }
+    }
+    this.runItMax = config.runItMax || 1; // Most boards all-in players may agree to run
     
     this.players = new Map();
     this.seats = new Array(this.maxPlayers).fill(null);
     this.deck = null;
     this.communityCards = [];
     this.pot = 0;
-    this.sidePots = [];
     this.phase = GAME_PHASES.WAITING;
     this.dealerSeat = 0;
+    this.smallBlindSeat = null;
+    this.bigBlindSeat = null;
+    this.straddleSeat = null;
+    this.isHeadsUp = false;
     this.currentPlayerSeat = null;
     this.lastRaiserSeat = null;
     this.currentBet = 0;
     this.minRaise = this.bigBlind;
     this.handNumber = 0;
+    this.handId = null; // Unique across tables and restarts
+    this.handStartedAt = null;
+    this.dealtCards = {}; // playerId -> hole cards this hand, kept if they leave
+    this.deckOrder = []; // Every card this hand in the order it comes off the deck
     this.deckCommitment = null;
+    this.deckMerkleRoot = null; // Lets single cards be proven without the rest of the deck
+    this.serverSeed = crypto.randomBytes(32).toString('hex'); // Shuffles the next hand; only its hash is public
+    this.playerSeeds = {}; // playerId -> seed committed for the next hand
+    this.runItVote = null;
+    this.runouts = []; // Every board dealt this hand, once the hand is run more than once
+    this.rakeCollected = 0; // Running total of rake taken at this table
+    this.departedBets = []; // Chips left in the pot this hand by players who left the table
     this.actionTimeout = config.actionTimeout || 30000; // 30 seconds
+    this.timeBank = config.timeBank ?? 30000; // Starting time bank per player
+    this.timeBankRefill = config.timeBankRefill ?? 5000; // Added every hand
+    this.timeBankMax = config.timeBankMax ?? 60000;
+    this.actionDeadline = null;
+    this.turnStartedAt = null;
+    this.actingOnTimeout = false;
+    this.maxTimeouts = config.maxTimeouts || 2; // Time-outs in a row before sitting out
+    this.maxSitOutTime = config.maxSitOutTime || 10 * 60 * 1000; // Seat is released after 10 minutes
     this.handHistory = [];
     this.completedHands = []; // Store completed hands for history
   }
 
   // Add player to table
   addPlayer(moltbookId, walletAddress, buyIn, preferredSeat = null) {
+    if (!Number.isInteger(buyIn)) {
+      throw new Error('Buy-in must be a whole number of chips');
+    }
     if (buyIn < this.minBuyIn || buyIn > this.maxBuyIn) {
       throw new Error(`Buy-in must be between ${this.minBuyIn} and ${this.maxBuyIn}`);
     }
@@ -108,6 +215,7 @@ class Table {
 
     const playerId = `${moltbookId}-${Date.now()}`;
     const player = new Player(playerId, moltbookId, walletAddress, buyIn);
+    player.timeBank = this.timeBank;
     this.players.set(playerId, player);
     this.seats[seat] = playerId;
 
@@ -123,47 +231,285 @@ class Table {
     if (seat !== -1) {
       this.seats[seat] = null;
     }
+    const wasLive = this.isHandInProgress() && !player.folded && player.holeCards.length > 0;
     this.players.delete(playerId);
+    delete this.playerSeeds[playerId];
+    if (this.isHandInProgress() && player.totalBetThisHand > 0) {
+      this.departedBets.push({ playerId, moltbookId: player.moltbookId, amount: player.totalBetThisHand });
+    }
 
-    return player.chips; // Return remaining chips
+    // Leaving forfeits the hand; if that leaves one player in it, they win now
+    // rather than when the action next moves
+    const playersInHand = this._getPlayersInHand();
+    if (wasLive && playersInHand.length === 1) {
+      this._awardPot(playersInHand[0]);
+    }
+
+    return player.chips + player.pendingChips; // Return remaining chips, including any not yet on the stack
   }
 
-  // Start new hand
-  startHand() {
-    const activePlayers = this._getActivePlayers();
-    if (activePlayers.length < 2) {
+  // Sit out from the next hand on; the seat is kept for maxSitOutTime
+  sitOut(playerId, reason = 'requested') {
+    const player = this.players.get(playerId);
+    if (!player) throw new Error('Player not at table');
+    if (player.sittingOut) return player.toPublic();
+
+    player.sittingOut = true;
+    player.waitForBigBlind = false;
+    player.sitOutSince = Date.now();
+    player.sitOutReason = reason;
+    this._logAction('SIT_OUT', { playerId, reason });
+    return player.toPublic();
+  }
+
+  // Come back from sitting out. Missed blinds are posted next hand unless the
+  // player chooses to wait for the big blind to reach their seat.
+  sitIn(playerId, { waitForBigBlind = false } = {}) {
+    const player = this.players.get(playerId);
+    if (!player) throw new Error('Player not at table');
+    if (player.chips + player.pendingChips <= 0) throw new Error('No chips left, rebuy before sitting in');
+
+    const owesBlinds = player.missedSmallBlind || player.missedBigBlind;
+    player.sittingOut = false;
+    player.sitOutSince = null;
+    player.sitOutReason = null;
+    player.isConnected = true;
+    player.waitForBigBlind = owesBlinds && waitForBigBlind;
+    this._logAction('SIT_IN', { playerId, waitForBigBlind: player.waitForBigBlind });
+    return player.toPublic();
+  }
+
+  setConnected(playerId, connected) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    player.isConnected = connected;
+    if (!connected) this.sitOut(playerId, 'disconnected');
+  }
+
+  // Players who have been sitting out too long and aren't still in a hand
+  getExpiredSitOuts(now = Date.now()) {
+    return Array.from(this.players.values())
+      .filter(p => p.sittingOut && p.sitOutSince !== null && now - p.sitOutSince >= this.maxSitOutTime)
+      .filter(p => !this._isInActiveHand(p))
+      .map(p => p.id);
+  }
+
+  // Throws if the chips can't be added. 'rebuy' is for busted players only;
+  // 'top_up' and 'auto_rebuy' add to an existing stack, never past maxBuyIn.
+  validateAddChips(playerId, amount, reason) {
+    const player = this.players.get(playerId);
+    if (!player) throw new Error('Player not at table');
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error('Amount must be a positive whole number of chips');
+    }
+
+    const stack = player.chips + player.pendingChips;
+    if (reason === 'rebuy') {
+      if (stack > 0) throw new Error('Rebuy is only allowed once you have no chips left, use top_up instead');
+      if (amount < this.minBuyIn || amount > this.maxBuyIn) {
+        throw new Error(`Rebuy must be between ${this.minBuyIn} and ${this.maxBuyIn}`);
+      }
+    } else if (stack + amount > this.maxBuyIn) {
+      throw new Error(`Stack can't go above the max buy-in of ${this.maxBuyIn} (can add up to ${Math.max(0, this.maxBuyIn - stack)})`);
+    }
+  }
+
+  // Add chips the player has already paid for. Stacks never change during a
+  // hand the player is dealt into, so those chips wait for the next hand.
+  addChips(playerId, amount, reason) {
+    this.validateAddChips(playerId, amount, reason);
+    const player = this.players.get(playerId);
+
+    const applied = !(this.isHandInProgress() && player.dealtIn);
+    if (applied) {
+      player.chips += amount;
+      this._logAction('CHIPS_ADDED', { playerId, amount, reason, chips: player.chips });
+    } else {
+      player.pendingChips += amount;
+    }
+
+    // A player who sat out after busting comes straight back in
+    if (player.sittingOut && player.sitOutReason === 'busted' && player.isConnected) {
+      this.sitIn(playerId);
+    }
+
+    return { applied, chips: player.chips, pendingChips: player.pendingChips };
+  }
+
+  setAutoRebuy(playerId, settings) {
+    const player = this.players.get(playerId);
+    if (!player) throw new Error('Player not at table');
+
+    if (!settings) {
+      player.autoRebuy = null;
+      return player.autoRebuy;
+    }
+
+    const threshold = settings.threshold;
+    const to = settings.to || this.maxBuyIn;
+    if (!Number.isInteger(threshold) || !Number.isInteger(to) || threshold <= 0 || threshold > to) {
+      throw new Error('Auto-rebuy threshold must be a positive whole number no bigger than the target stack');
+    }
+    if (to > this.maxBuyIn) {
+      throw new Error(`Auto-rebuy target can't be above the max buy-in of ${this.maxBuyIn}`);
+    }
+
+    player.autoRebuy = { threshold, to };
+    return player.autoRebuy;
+  }
+
+  // Top-ups owed to players whose stack fell below their auto-rebuy threshold
+  getAutoRebuys() {
+    if (this.isHandInProgress()) return [];
+
+    const rebuys = [];
+    for (const player of this.players.values()) {
+      const stack = player.chips + player.pendingChips;
+      if (player.autoRebuy && stack < player.autoRebuy.threshold) {
+        rebuys.push({ playerId: player.id, amount: player.autoRebuy.to - stack });
+      }
+    }
+    return rebuys;
+  }
+
+  // Mix a seed into the next shuffle. Only its hash is public until that hand
+  // is over. The server seed's hash is published before anyone commits, so
+  // the house can't pick its seed to suit the players'.
+  commitSeed(playerId, seed) {
+    if (!this.players.has(playerId)) throw new Error('Player not at table');
+    if (typeof seed !== 'string' || !SEED_PATTERN.test(seed)) {
+      throw new Error('Seed must be 32 to 128 hex characters');
+    }
+
+    this.playerSeeds[playerId] = seed.toLowerCase();
+    return { handNumber: this.handNumber + 1, seedHash: hashSeed(this.playerSeeds[playerId]) };
+  }
+
+  // What the next shuffle is committed to so far
+  getShuffleCommitments() {
+    return {
+      handNumber: this.handNumber + 1,
+      serverSeedHash: hashSeed(this.serverSeed),
+      playerSeeds: this._getSeatedSeeds().map(({ playerId, seed }) => ({ playerId, seedHash: hashSeed(seed) }))
+    };
+  }
+
+  isHandInProgress() {
+    return this.phase !== GAME_PHASES.WAITING && this.phase !== GAME_PHASES.SHOWDOWN;
+  }
+
+  // Enough players with chips who aren't sitting out
+  canStartHand() {
+    return !this.isHandInProgress() &&
+      this._getActivePlayers().length + this._getPlayersWaitingForBigBlind().length >= 2;
+  }
+
+  // Start new hand. Replays pass the deck to deal from instead of a fresh shuffle.
+  startHand({ deck = null } = {}) {
+    if (this.isHandInProgress()) {
+      throw new Error('Hand already in progress');
+    }
+
+    // Chips bought during the last hand go on the stack before anything else
+    const chipsAdded = this._applyPendingChips();
+
+    if (this._getActivePlayers().length + this._getPlayersWaitingForBigBlind().length < 2) {
       throw new Error('Need at least 2 players to start');
     }
 
     this.handNumber++;
-    this.deck = new SecureDeck();
+    this.handId = `${this.id}-${this.handNumber}-${Date.now().toString(36)}`;
+    this.handStartedAt = Date.now();
+    this.dealtCards = {};
+    this.deck = deck || new SecureDeck({
+      ...this.deckOptions,
+      serverSeed: this.serverSeed,
+      playerSeeds: this._getSeatedSeeds()
+    });
+    this.serverSeed = crypto.randomBytes(32).toString('hex');
+    this.playerSeeds = {};
     this.deckCommitment = this.deck.getCommitment();
+    this.deckMerkleRoot = this.deck.getMerkleRoot();
+    this.deckOrder = this.deck.cards.map(c => c.toString()).reverse();
     this.communityCards = [];
+    this.runItVote = null;
+    this.runouts = [];
+    this.departedBets = [];
     this.pot = 0;
-    this.sidePots = [];
     this.phase = GAME_PHASES.PREFLOP;
     this.currentBet = this.bigBlind;
-    this.minRaise = this.bigBlind;
+    this.minRaise = this.bettingStructure === 'fixed-limit' ? this.smallBet : this.bigBlind;
+    this.raisesThisStreet = 1; // The big blind is the first bet
     this.handHistory = [];
+    for (const entry of chipsAdded) {
+      this._logAction('CHIPS_ADDED', entry);
+    }
+
+    // Busted players keep their seat but sit out until they rebuy; logged
+    // with this hand, the first one they miss
+    for (const player of this.players.values()) {
+      if (player.chips <= 0 && !player.sittingOut) this.sitOut(player.id, 'busted');
+    }
 
     // Reset players
     for (const player of this.players.values()) {
       player.reset();
     }
 
-    // Move dealer button
-    this._moveDealer();
+    // Pick who is dealt in, then move the button and blinds
+    const previousSmallBlindSeat = this.smallBlindSeat;
+    const previousBigBlindSeat = this.bigBlindSeat;
+    const activePlayers = this._dealInPlayers();
+    this._trackMissedBlinds(previousSmallBlindSeat, previousBigBlindSeat);
+
+    // Refill time banks for everyone dealt in
+    for (const player of activePlayers) {
+      player.timeBank = Math.min(this.timeBankMax, player.timeBank + this.timeBankRefill);
+    }
 
-    // Post blinds
-    this._postBlinds();
+    // Post antes, blinds and any straddle, then blinds owed by returning players
+    const lastBlindSeat = this._postBlinds();
+    this._postMissedBlinds();
 
     // Deal hole cards
     this._dealHoleCards();
 
     // Set first player to act
-    this._setNextPlayer(this._getBigBlindSeat());
+    this._setNextPlayer(lastBlindSeat);
+
+    this._logAction('HAND_START', {
+      handNumber: this.handNumber,
+      handId: this.handId,
+      commitment: this.deckCommitment,
+      merkleRoot: this.deckMerkleRoot,
+      serverSeedHash: this.deck.serverSeed ? hashSeed(this.deck.serverSeed) : undefined,
+      playerSeeds: this.deck.playerSeeds.map(({ playerId, seed }) => ({ playerId, seedHash: hashSeed(seed) })),
+      dealerSeat: this.dealerSeat,
+      smallBlindSeat: this.smallBlindSeat,
+      bigBlindSeat: this.bigBlindSeat,
+      // Stacks as they were before antes and blinds
+      seats: activePlayers.map(p => ({
+        seat: this.seats.indexOf(p.id),
+        playerId: p.id,
+        moltbookId: p.moltbookId,
+        chips: p.chips + p.totalBetThisHand
+      }))
+    });
+    this.emit('handStarted', {
+      handNumber: this.handNumber,
+      dealerSeat: this.dealerSeat,
+      playerIds: Array.from(this.players.values()).filter(p => p.dealtIn).map(p => p.id)
+    });
 
-    this._logAction('HAND_START', { handNumber: this.handNumber, commitment: this.deckCommitment });
+    // Antes and blinds can put everyone all-in, or leave one player able to
+    // act with nothing to call; nobody would ever be asked to, so run it out
+    const canAct = this._getPlayersInHand().filter(p => !p.allIn);
+    if (canAct.length === 0 || (canAct.length === 1 && canAct[0].currentBet >= this.currentBet)) {
+      if (this._canRunItMoreThanOnce()) {
+        return this._startRunItVote();
+      }
+      return this._advancePhase();
+    }
 
     return this.getGameState();
   }
@@ -175,7 +521,8 @@ class Table {
     player.folded = true;
     player.lastAction = 'fold';
     this._logAction('FOLD', { playerId });
-    return this._advanceGame();
+    const action = this._emitAction({ playerId, type: 'fold', amount: null });
+    return { ...this._advanceGame(), action };
   }
 
   check(playerId) {
@@ -186,7 +533,8 @@ class Table {
     }
     player.lastAction = 'check';
     this._logAction('CHECK', { playerId });
-    return this._advanceGame();
+    const action = this._emitAction({ playerId, type: 'check', amount: null });
+    return { ...this._advanceGame(), action };
   }
 
   call(playerId) {
@@ -210,42 +558,306 @@ class Table {
 
     player.lastAction = 'call';
     this._logAction('CALL', { playerId, amount: actualCall });
-    return this._advanceGame();
+    const action = this._emitAction({ playerId, type: 'call', amount: actualCall, to: player.currentBet, allIn: player.allIn });
+    return { ...this._advanceGame(), action };
+  }
+
+  // Open the betting on a street nobody has bet on yet
+  bet(playerId, amount) {
+    this._validateAction(playerId);
+    if (this.currentBet > 0) {
+      throw new Error(`There is already a bet of ${this.currentBet}, raise instead`);
+    }
+    return this._betOrRaise(playerId, amount, 'bet');
   }
 
   raise(playerId, amount) {
     this._validateAction(playerId);
+    if (this.currentBet === 0) {
+      throw new Error('Nothing to raise, bet instead');
+    }
+    return this._betOrRaise(playerId, amount, 'raise');
+  }
+
+  // amount is { to } for the total bet on this street, { by } for how much
+  // more than the current bet, or a plain number of chips to put in
+  _betOrRaise(playerId, amount, kind) {
     const player = this.players.get(playerId);
-    const toCall = this.currentBet - player.currentBet;
-    const raiseAmount = amount - toCall;
+    const raiseTo = this._getRaiseTo(player, amount, kind);
+    const allInTo = player.currentBet + player.chips;
 
-    if (raiseAmount < this.minRaise && amount < player.chips) {
-      throw new Error(`Minimum raise is ${this.minRaise}`);
+    if (raiseTo <= this.currentBet) {
+      throw new Error(`Raise must be more than the current bet of ${this.currentBet}, call instead`);
+    }
+    if (raiseTo > allInTo) {
+      throw new Error(`Not enough chips, the most you can ${kind} to is ${allInTo}`);
     }
 
-    if (amount > player.chips) {
-      throw new Error('Not enough chips');
+    const bounds = this.getRaiseBounds(playerId);
+    if (!bounds) {
+      throw new Error(this._canReopenBetting(player)
+        ? `Betting is capped at ${this.raiseCap} bets this street`
+        : 'The betting was not reopened by a full raise, call or fold');
+    }
+    if (raiseTo < bounds.minTo) {
+      throw new Error(`Minimum ${kind} is to ${bounds.minTo} (${bounds.minTo - player.currentBet} more)`);
+    }
+    if (raiseTo > bounds.maxTo) {
+      throw new Error(this.bettingStructure === 'fixed-limit'
+        ? `Fixed-limit ${kind} must be to exactly ${bounds.maxTo} (${bounds.maxTo - player.currentBet} more)`
+        : `Pot-limit maximum is a ${kind} to ${bounds.maxTo} (${bounds.maxTo - player.currentBet} more)`);
     }
 
-    player.chips -= amount;
-    player.currentBet += amount;
-    player.totalBetThisHand += amount;
-    this.pot += amount;
-    this.currentBet = player.currentBet;
-    this.minRaise = Math.max(this.minRaise, raiseAmount);
+    const added = raiseTo - player.currentBet;
+    const raiseAmount = raiseTo - this.currentBet;
+    player.chips -= added;
+    player.currentBet = raiseTo;
+    player.totalBetThisHand += added;
+    this.pot += added;
+    this.currentBet = raiseTo;
     this.lastRaiserSeat = this.seats.indexOf(playerId);
 
+    // A short all-in doesn't change the size of the next legal raise, and
+    // doesn't let players who already acted raise again
+    const fullRaise = raiseAmount >= this.minRaise;
+    if (fullRaise) {
+      this.minRaise = this.bettingStructure === 'fixed-limit' ? this._getLimitBetSize() : raiseAmount;
+      this.raisesThisStreet++;
+    }
+
     if (player.chips === 0) {
       player.allIn = true;
     }
 
-    player.lastAction = 'raise';
-    this._logAction('RAISE', { playerId, amount, newBet: this.currentBet });
-    return this._advanceGame();
+    player.lastAction = kind;
+    this._logAction(kind.toUpperCase(), { playerId, amount: added, newBet: this.currentBet, by: raiseAmount, fullRaise });
+    const action = this._emitAction({ playerId, type: kind, amount: added, to: raiseTo, by: raiseAmount, allIn: player.allIn, fullRaise });
+    return { ...this._advanceGame(), action };
+  }
+
+  _getRaiseTo(player, amount, kind) {
+    const Kind = kind === 'bet' ? 'Bet' : 'Raise';
+    const isAmount = value => Number.isInteger(value) && value > 0;
+
+    if (amount !== null && typeof amount === 'object') {
+      const hasTo = amount.to !== undefined && amount.to !== null;
+      const hasBy = amount.by !== undefined && amount.by !== null;
+      if (hasTo === hasBy) {
+        throw new Error(`${Kind} needs exactly one of "to" (total bet this street) or "by" (on top of the current bet)`);
+      }
+      const value = hasTo ? amount.to : amount.by;
+      if (!isAmount(value)) {
+        throw new Error(`${Kind} amount must be a positive whole number of chips`);
+      }
+      return hasTo ? value : this.currentBet + value;
+    }
+
+    if (!isAmount(amount)) {
+      throw new Error(`${Kind} amount must be a positive whole number of chips`);
+    }
+    return player.currentBet + amount;
+  }
+
+  // Players who already acted this street may only raise again after a full
+  // raise; an all-in for less only lets them call or fold
+  _canReopenBetting(player) {
+    return player.lastAction === null || this.raisesThisStreet > player.raisesSeen;
   }
 
   allIn(playerId) {
-    return this.raise(playerId, this.players.get(playerId).chips);
+    this._validateAction(playerId);
+    const player = this.players.get(playerId);
+
+    // All-in for no more than the amount to call is just a call
+    if (player.chips <= this.currentBet - player.currentBet) {
+      return this.call(playerId);
+    }
+    return this.currentBet > 0 ? this.raise(playerId, player.chips) : this.bet(playerId, player.chips);
+  }
+
+  // What the acting player may do right now, with raise-to amounts in total
+  // chips for the street. Returns null when it isn't the player's turn.
+  getLegalActions(playerId) {
+    const player = this.players.get(playerId);
+    if (!player || !this.isHandInProgress() || this.seats[this.currentPlayerSeat] !== playerId) {
+      return null;
+    }
+
+    const toCall = Math.min(this.currentBet - player.currentBet, player.chips);
+    const bounds = this.getRaiseBounds(playerId);
+    const actions = ['fold'];
+    actions.push(toCall > 0 ? 'call' : 'check');
+    if (bounds) actions.push(this.currentBet > 0 ? 'raise' : 'bet');
+
+    // All-in is a call when short, otherwise it must be a legal raise size
+    const allInTo = player.currentBet + player.chips;
+    if (player.chips > 0 && (player.chips <= toCall || (bounds && bounds.maxTo === allInTo))) {
+      actions.push('allin');
+    }
+
+    return {
+      actions,
+      toCall,
+      minRaiseTo: bounds ? bounds.minTo : null,
+      maxRaiseTo: bounds ? bounds.maxTo : null,
+      currentBet: this.currentBet,
+      myBet: player.currentBet,
+      chips: player.chips,
+      pot: this.pot
+    };
+  }
+
+  // Legal raise-to range for a player under the table's betting structure.
+  // Returns null when the player can't raise at all.
+  getRaiseBounds(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return null;
+
+    const allInTo = player.currentBet + player.chips;
+    if (allInTo <= this.currentBet) return null;
+    if (!this._canReopenBetting(player)) return null;
+
+    let minTo = this.currentBet + this.minRaise;
+    let maxTo = allInTo;
+
+    if (this.bettingStructure === 'pot-limit') {
+      // Call first, then raise by the size of the pot
+      const toCall = this.currentBet - player.currentBet;
+      maxTo = this.currentBet + this.pot + toCall;
+    } else if (this.bettingStructure === 'fixed-limit') {
+      if (this.raisesThisStreet >= this.raiseCap) return null;
+      minTo = this.currentBet + this._getLimitBetSize();
+      maxTo = minTo;
+    }
+
+    // Players short of a full raise may still go all-in
+    return {
+      minTo: Math.min(minTo, allInTo),
+      maxTo: Math.min(maxTo, allInTo)
+    };
+  }
+
+  // All-in players agree on how many times to run the rest of the board.
+  // The hand is run the fewest times anyone voted for.
+  voteRunIt(playerId, times) {
+    const vote = this.runItVote;
+    if (!vote || vote.times !== null) throw new Error('No run-it vote in progress');
+    if (!vote.voters.includes(playerId)) throw new Error('You are not in this hand');
+    if (vote.votes[playerId] !== undefined) throw new Error('Already voted');
+    if (!Number.isInteger(times) || times < 1 || times > vote.maxTimes) {
+      throw new Error(`Choose to run it between 1 and ${vote.maxTimes} times`);
+    }
+
+    vote.votes[playerId] = times;
+    this._logAction('RUN_IT_VOTE', { playerId, times });
+    this._emitAction({ playerId, type: 'run_it', amount: times });
+
+    if (vote.voters.every(id => vote.votes[id] !== undefined)) {
+      return this._finishRunItVote();
+    }
+    return this.getGameState();
+  }
+
+  // Act for the current player once their clock and time bank have run out:
+  // check when checking is legal, otherwise fold. Returns null if not yet due.
+  handleActionTimeout(now = Date.now()) {
+    if (this.actionDeadline === null || now < this.actionDeadline) {
+      return null;
+    }
+
+    // Anyone who didn't vote runs it once
+    if (this.runItVote && this.runItVote.times === null) {
+      return { ...this._finishRunItVote(), runItTimedOut: true };
+    }
+
+    const playerId = this.seats[this.currentPlayerSeat];
+    const player = this.players.get(playerId);
+    if (!player) return null;
+
+    // A hand counts once however many times the clock acts in it
+    const timeouts = player.lastTimeoutHand === this.handNumber ? player.timeouts : player.timeouts + 1;
+    const action = player.currentBet >= this.currentBet ? 'check' : 'fold';
+    const satOut = timeouts >= this.maxTimeouts && !player.sittingOut;
+    this._logAction('TIMEOUT', { playerId, action, deadline: this.actionDeadline });
+    // Before acting for them, since that may end the hand it belongs to
+    if (satOut) this.sitOut(playerId, 'timeouts');
+
+    let result;
+    this.actingOnTimeout = true;
+    try {
+      result = action === 'check' ? this.check(playerId) : this.fold(playerId);
+    } finally {
+      this.actingOnTimeout = false;
+    }
+    player.timeBank = 0;
+    player.timeouts = timeouts;
+    player.lastTimeoutHand = this.handNumber;
+    return { ...result, timedOut: { playerId, action, satOut } };
+  }
+
+  // Call off the hand in progress and give every seated player back what
+  // they put in. Returns what players who already left are still owed.
+  voidHand(reason) {
+    if (!this.isHandInProgress()) return [];
+
+    const refunds = {};
+    for (const player of this.players.values()) {
+      if (player.totalBetThisHand > 0) refunds[player.id] = player.totalBetThisHand;
+      player.chips += player.totalBetThisHand;
+      player.reset();
+    }
+    const owed = this.departedBets;
+
+    this.departedBets = [];
+    this.pot = 0;
+    this.communityCards = [];
+    this.runouts = [];
+    this.runItVote = null;
+    this.currentBet = 0;
+    this.currentPlayerSeat = null;
+    this.lastRaiserSeat = null;
+    this.phase = GAME_PHASES.WAITING;
+    this._stopActionClock();
+    this._logAction('HAND_VOIDED', { handNumber: this.handNumber, reason, refunds, owed });
+    return owed;
+  }
+
+  // Give the player to act (or an open run-it vote) a fresh clock, e.g. when
+  // a hand is picked up again after a restart
+  restartActionClock() {
+    if (this.runItVote && this.runItVote.times === null) {
+      this.actionDeadline = Date.now() + this.actionTimeout;
+      return;
+    }
+    const player = this.players.get(this.seats[this.currentPlayerSeat]);
+    if (player) this._startActionClock(player);
+  }
+
+  // Everything needed to rebuild the table after a restart, as plain JSON.
+  // Event listeners, methods wrapped by the auditor and the server's bot map
+  // are left out; their owners set them up again.
+  toSnapshot() {
+    const state = {};
+    for (const [key, value] of Object.entries(this)) {
+      if (key.startsWith('_') || typeof value === 'function' || value instanceof Map) continue;
+      state[key] = value;
+    }
+    return JSON.parse(JSON.stringify({
+      ...state,
+      players: Array.from(this.players.values(), p => p.toSnapshot()),
+      deck: this.deck ? this.deck.toSnapshot() : null
+    }));
+  }
+
+  static fromSnapshot(snapshot) {
+    const { players, deck, communityCards, runouts, ...state } = snapshot;
+    const table = new Table(state.id, state.config);
+    Object.assign(table, state);
+    table.players = new Map(players.map(p => [p.id, Player.fromSnapshot(p)]));
+    table.deck = deck ? SecureDeck.fromSnapshot(deck) : null;
+    table.communityCards = communityCards.map(Card.fromJSON);
+    table.runouts = runouts.map(board => board.map(Card.fromJSON));
+    return table;
   }
 
   // Get public game state (what everyone can see)
@@ -260,15 +872,25 @@ class Table {
       name: this.name,
       phase: this.phase,
       pot: this.pot,
+      pots: this._buildPots(),
       communityCards: this.communityCards.map(c => c.toJSON()),
       currentBet: this.currentBet,
       minRaise: this.minRaise,
+      variant: this.variant,
+      holeCardCount: this.holeCardCount,
+      bettingStructure: this.bettingStructure,
       dealerSeat: this.dealerSeat,
       currentPlayerSeat: this.currentPlayerSeat,
+      actionDeadline: this.actionDeadline,
+      actionTimeout: this.actionTimeout,
+      runItVote: this._getPublicRunItVote(),
+      runouts: this.runouts.map(board => board.map(c => c.toJSON())),
       players,
       seats: this.seats,
       handNumber: this.handNumber,
-      deckCommitment: this.deckCommitment
+      deckCommitment: this.deckCommitment,
+      deckMerkleRoot: this.deckMerkleRoot,
+      nextShuffle: this.getShuffleCommitments()
     };
   }
 
@@ -284,7 +906,9 @@ class Table {
         folded: player.folded,
         allIn: player.allIn,
         hasCards: player.holeCards.length > 0,
-        lastAction: player.lastAction
+        lastAction: player.lastAction,
+        sittingOut: player.sittingOut,
+        timeBank: player.timeBank
       };
 
       // Only reveal cards at showdown
@@ -304,11 +928,21 @@ class Table {
       currentBet: this.currentBet,
       dealerSeat: this.dealerSeat,
       currentPlayerSeat: this.currentPlayerSeat,
+      actionDeadline: this.actionDeadline,
+      runItVote: this._getPublicRunItVote(),
+      runouts: this.runouts.map(board => board.map(c => c.toJSON())),
       players,
       seats: this.seats,
       handNumber: this.handNumber,
+      pots: this._buildPots(),
       smallBlind: this.smallBlind,
-      bigBlind: this.bigBlind
+      bigBlind: this.bigBlind,
+      ante: this.ante,
+      bigBlindAnte: this.bigBlindAnte,
+      straddleSeat: this.straddleSeat,
+      variant: this.variant,
+      holeCardCount: this.holeCardCount,
+      bettingStructure: this.bettingStructure
     };
   }
 
@@ -320,73 +954,223 @@ class Table {
     return {
       ...this.getGameState(),
       myCards: player.holeCards.map(c => c.toJSON()),
-      myChips: player.chips
+      myChips: player.chips,
+      legalActions: this.getLegalActions(playerId)
     };
   }
 
   // Private methods
   _getActivePlayers() {
-    return Array.from(this.players.values()).filter(p => p.chips > 0 && p.isConnected);
+    return Array.from(this.players.values())
+      .filter(p => p.chips > 0 && p.isConnected && !p.sittingOut && !p.waitForBigBlind);
+  }
+
+  _getPlayersWaitingForBigBlind() {
+    return Array.from(this.players.values())
+      .filter(p => p.chips > 0 && p.isConnected && !p.sittingOut && p.waitForBigBlind);
+  }
+
+  _applyPendingChips() {
+    const added = [];
+    for (const player of this.players.values()) {
+      if (player.pendingChips > 0) {
+        player.chips += player.pendingChips;
+        added.push({ playerId: player.id, amount: player.pendingChips, reason: 'pending', chips: player.chips });
+        player.pendingChips = 0;
+      }
+    }
+    return added;
+  }
+
+  // Seeds committed by seated players, in seat order
+  _getSeatedSeeds() {
+    return this.seats
+      .filter(id => id && this.playerSeeds[id])
+      .map(id => ({ playerId: id, seed: this.playerSeeds[id] }));
+  }
+
+  _isInActiveHand(player) {
+    return this.isHandInProgress() && player.dealtIn && !player.folded;
+  }
+
+  // Mark who is dealt in and place the button and blinds. Players waiting for
+  // the big blind only come in on the hand where it reaches their seat.
+  _dealInPlayers() {
+    const ready = this._getActivePlayers();
+    const waiting = this._getPlayersWaitingForBigBlind();
+
+    // Nobody waits when there wouldn't be a game without them
+    const dealt = ready.length < 2 ? [...ready, ...waiting] : ready;
+    for (const player of dealt) {
+      player.dealtIn = true;
+    }
+    this.isHeadsUp = dealt.length === 2;
+    this._moveDealer();
+
+    if (ready.length >= 2 && waiting.length > 0) {
+      const smallBlindSeat = this._nextDealtSeat(this.dealerSeat);
+      for (const player of waiting) player.dealtIn = true;
+      const bigBlindSeat = this._nextDealtSeat(smallBlindSeat);
+
+      for (const player of waiting) {
+        if (this.seats.indexOf(player.id) !== bigBlindSeat) {
+          player.dealtIn = false;
+          continue;
+        }
+        player.waitForBigBlind = false;
+        player.missedSmallBlind = false;
+        player.missedBigBlind = false;
+        dealt.push(player);
+        this.isHeadsUp = false;
+      }
+    }
+
+    this.smallBlindSeat = this._getSmallBlindSeat();
+    this.bigBlindSeat = this._getBigBlindSeat();
+    return dealt;
+  }
+
+  // A seated player who isn't dealt in misses a blind when it moves past their seat
+  _trackMissedBlinds(previousSmallBlindSeat, previousBigBlindSeat) {
+    if (previousBigBlindSeat === null) return;
+
+    const passed = (seat, from, to) => {
+      const distance = s => (s - from + this.maxPlayers) % this.maxPlayers;
+      return distance(seat) > 0 && distance(seat) <= distance(to);
+    };
+
+    for (const player of this.players.values()) {
+      if (player.dealtIn || player.chips <= 0) continue;
+      const seat = this.seats.indexOf(player.id);
+      if (passed(seat, previousSmallBlindSeat, this.smallBlindSeat)) player.missedSmallBlind = true;
+      if (passed(seat, previousBigBlindSeat, this.bigBlindSeat)) player.missedBigBlind = true;
+    }
+  }
+
+  // Returning players post a missed big blind live and a missed small blind dead
+  _postMissedBlinds() {
+    for (const player of this.players.values()) {
+      if (!player.dealtIn || (!player.missedSmallBlind && !player.missedBigBlind)) continue;
+
+      const seat = this.seats.indexOf(player.id);
+      if (seat !== this.smallBlindSeat && seat !== this.bigBlindSeat) {
+        const live = player.missedBigBlind ? this._postForcedBet(player, this.bigBlind, true) : 0;
+        const dead = player.missedSmallBlind ? this._postForcedBet(player, this.smallBlind, false) : 0;
+        this._logAction('MISSED_BLINDS', { playerId: player.id, live, dead });
+      }
+      player.missedSmallBlind = false;
+      player.missedBigBlind = false;
+    }
   }
 
   _getPlayersInHand() {
     return Array.from(this.players.values()).filter(p => !p.folded && p.holeCards.length > 0);
   }
 
-  _moveDealer() {
+  _getLimitBetSize() {
+    const smallStreet = this.phase === GAME_PHASES.PREFLOP || this.phase === GAME_PHASES.FLOP;
+    return smallStreet ? this.smallBet : this.bigBet;
+  }
+
+  // Next seat clockwise whose player was dealt into this hand
+  _nextDealtSeat(afterSeat) {
+    let seat = afterSeat;
     do {
-      this.dealerSeat = (this.dealerSeat + 1) % this.maxPlayers;
-    } while (this.seats[this.dealerSeat] === null);
+      seat = (seat + 1) % this.maxPlayers;
+      const player = this.players.get(this.seats[seat]);
+      if (player && player.dealtIn) return seat;
+    } while (seat !== afterSeat);
+    return null;
+  }
+
+  _moveDealer() {
+    this.dealerSeat = this._nextDealtSeat(this.dealerSeat);
   }
 
   _getSmallBlindSeat() {
-    let seat = (this.dealerSeat + 1) % this.maxPlayers;
-    while (this.seats[seat] === null) {
-      seat = (seat + 1) % this.maxPlayers;
-    }
-    return seat;
+    if (this.isHeadsUp) return this.dealerSeat;
+    return this._nextDealtSeat(this.dealerSeat);
   }
 
   _getBigBlindSeat() {
-    let seat = this._getSmallBlindSeat();
-    do {
-      seat = (seat + 1) % this.maxPlayers;
-    } while (this.seats[seat] === null);
-    return seat;
+    return this._nextDealtSeat(this._getSmallBlindSeat());
   }
 
+  // Returns the seat of the last live blind, whose option closes preflop action
   _postBlinds() {
-    const sbSeat = this._getSmallBlindSeat();
-    const bbSeat = this._getBigBlindSeat();
-    
-    const sbPlayer = this.players.get(this.seats[sbSeat]);
-    const bbPlayer = this.players.get(this.seats[bbSeat]);
+    const sbPlayer = this.players.get(this.seats[this.smallBlindSeat]);
+    const bbPlayer = this.players.get(this.seats[this.bigBlindSeat]);
+
+    if (this.ante > 0) {
+      const antes = {};
+      for (const player of this.players.values()) {
+        if (player.dealtIn) {
+          antes[player.id] = this._postForcedBet(player, this.ante, false);
+        }
+      }
+      this._logAction('ANTE', { antes });
+    }
+
+    const sbAmount = this._postForcedBet(sbPlayer, this.smallBlind, true);
+    const bbAmount = this._postForcedBet(bbPlayer, this.bigBlind, true);
+    this._logAction('BLINDS', {
+      sb: sbAmount,
+      bb: bbAmount,
+      sbPlayerId: sbPlayer.id,
+      bbPlayerId: bbPlayer.id
+    });
+
+    // The big blind pays its blind before the table's ante
+    if (this.bigBlindAnte > 0) {
+      const amount = this._postForcedBet(bbPlayer, this.bigBlindAnte, false);
+      this._logAction('BIG_BLIND_ANTE', { playerId: bbPlayer.id, amount });
+    }
+
+    this.straddleSeat = this._getStraddleSeat();
+    if (this.straddleSeat === null) {
+      return this.bigBlindSeat;
+    }
+
+    const straddler = this.players.get(this.seats[this.straddleSeat]);
+    const amount = this._postForcedBet(straddler, this.straddleAmount, true);
+    this.currentBet = Math.max(this.currentBet, amount);
+    this.minRaise = this.straddleAmount;
+    this.raisesThisStreet++;
+    this._logAction('STRADDLE', { playerId: straddler.id, amount, type: this.straddle });
 
-    const sbAmount = Math.min(this.smallBlind, sbPlayer.chips);
-    const bbAmount = Math.min(this.bigBlind, bbPlayer.chips);
+    return this.straddleSeat;
+  }
 
-    sbPlayer.chips -= sbAmount;
-    sbPlayer.currentBet = sbAmount;
-    sbPlayer.totalBetThisHand = sbAmount;
-    this.pot += sbAmount;
+  _getStraddleSeat() {
+    if (!this.straddle || this.isHeadsUp) return null;
 
-    bbPlayer.chips -= bbAmount;
-    bbPlayer.currentBet = bbAmount;
-    bbPlayer.totalBetThisHand = bbAmount;
-    this.pot += bbAmount;
+    const seat = this.straddle === 'button'
+      ? this.dealerSeat
+      : this._nextDealtSeat(this.bigBlindSeat);
+    if (seat === this.smallBlindSeat || seat === this.bigBlindSeat) return null;
 
-    if (sbPlayer.chips === 0) sbPlayer.allIn = true;
-    if (bbPlayer.chips === 0) bbPlayer.allIn = true;
+    const player = this.players.get(this.seats[seat]);
+    return player.chips > 0 ? seat : null;
+  }
 
-    this._logAction('BLINDS', { sb: sbAmount, bb: bbAmount });
+  // Live bets count toward the current bet; antes only go into the pot
+  _postForcedBet(player, amount, live) {
+    const posted = Math.min(amount, player.chips);
+    player.chips -= posted;
+    player.totalBetThisHand += posted;
+    this.pot += posted;
+    if (live) player.currentBet += posted;
+    if (player.chips === 0) player.allIn = true;
+    return posted;
   }
 
   _dealHoleCards() {
     for (const playerId of this.seats) {
       if (playerId) {
         const player = this.players.get(playerId);
-        if (player.chips > 0) {
-          player.holeCards = [this.deck.deal(), this.deck.deal()];
+        if (player.dealtIn) {
+          player.holeCards = Array.from({ length: this.holeCardCount }, () => this.deck.deal());
+          this.dealtCards[playerId] = player.holeCards.map(c => c.toString());
         }
       }
     }
@@ -400,8 +1184,9 @@ class Table {
       const playerId = this.seats[seat];
       if (playerId) {
         const player = this.players.get(playerId);
-        if (!player.folded && !player.allIn) {
+        if (player.dealtIn && !player.folded && !player.allIn) {
           this.currentPlayerSeat = seat;
+          this._startActionClock(player);
           return;
         }
       }
@@ -410,6 +1195,30 @@ class Table {
     }
 
     this.currentPlayerSeat = null;
+    this._stopActionClock();
+  }
+
+  _startActionClock(player) {
+    this.turnStartedAt = Date.now();
+    this.actionDeadline = this.turnStartedAt + this.actionTimeout + player.timeBank;
+  }
+
+  _stopActionClock() {
+    this.turnStartedAt = null;
+    this.actionDeadline = null;
+  }
+
+  // Take any time used beyond the base clock out of the acting player's bank
+  _chargeTimeBank() {
+    const player = this.players.get(this.seats[this.currentPlayerSeat]);
+    if (!player || this.turnStartedAt === null) return;
+
+    const overtime = Date.now() - this.turnStartedAt - this.actionTimeout;
+    if (overtime > 0) {
+      player.timeBank = Math.max(0, player.timeBank - overtime);
+    }
+    player.timeouts = 0;
+    player.lastTimeoutHand = null;
   }
 
   _validateAction(playerId) {
@@ -423,6 +1232,9 @@ class Table {
   }
 
   _advanceGame() {
+    this._chargeTimeBank();
+    const actor = this.players.get(this.seats[this.currentPlayerSeat]);
+    if (actor) actor.raisesSeen = this.raisesThisStreet;
     const playersInHand = this._getPlayersInHand();
     
     // Check if only one player left
@@ -432,6 +1244,9 @@ class Table {
 
     // Check if betting round is complete
     if (this._isBettingComplete()) {
+      if (this._canRunItMoreThanOnce()) {
+        return this._startRunItVote();
+      }
       return this._advancePhase();
     }
 
@@ -441,20 +1256,80 @@ class Table {
   }
 
   _isBettingComplete() {
+    const canAct = this._getPlayersInHand().filter(p => !p.allIn);
+
+    // Nobody left to bet against
+    if (canAct.length === 0) return true;
+    if (canAct.length === 1 && canAct[0].currentBet >= this.currentBet) return true;
+
+    // Everyone still able to bet has acted on this street and matched the bet,
+    // which also gives the big blind their option preflop
+    return canAct.every(p => p.lastAction !== null && p.currentBet >= this.currentBet);
+  }
+
+  // Offered once a hand, when nobody can bet any more and cards are still to come
+  _canRunItMoreThanOnce() {
     const playersInHand = this._getPlayersInHand();
-    for (const player of playersInHand) {
-      if (!player.allIn && player.currentBet < this.currentBet) {
-        return false;
-      }
-      if (!player.allIn && player.lastAction === null && this.phase === GAME_PHASES.PREFLOP) {
-        // Big blind hasn't acted yet
-        const bbSeat = this._getBigBlindSeat();
-        if (this.seats[bbSeat] === player.id && player.currentBet === this.bigBlind) {
-          return false;
-        }
-      }
+    return this.runItVote === null &&
+      this.phase !== GAME_PHASES.RIVER &&
+      playersInHand.length > 1 &&
+      playersInHand.filter(p => !p.allIn).length <= 1 &&
+      this._getMaxRunouts() > 1;
+  }
+
+  // Limited by the table setting and by the cards left in the deck
+  _getMaxRunouts() {
+    const cardsPerBoard = 5 - this.communityCards.length;
+    return Math.min(this.runItMax, Math.floor(this.deck.cards.length / cardsPerBoard));
+  }
+
+  _startRunItVote() {
+    const voters = this._getPlayersInHand().map(p => p.id);
+    this.runItVote = {
+      voters,
+      votes: {},
+      maxTimes: this._getMaxRunouts(),
+      boardSize: this.communityCards.length,
+      times: null
+    };
+    this.currentPlayerSeat = null;
+    this.turnStartedAt = null;
+    this.actionDeadline = Date.now() + this.actionTimeout;
+    this._logAction('RUN_IT_OFFERED', { voters, maxTimes: this.runItVote.maxTimes });
+    return this.getGameState();
+  }
+
+  _finishRunItVote() {
+    const vote = this.runItVote;
+    vote.times = Math.min(...vote.voters.map(id => vote.votes[id] ?? 1));
+    this._stopActionClock();
+    this._logAction('RUN_IT', { times: vote.times, votes: vote.votes });
+    return this._advancePhase();
+  }
+
+  _getPublicRunItVote() {
+    if (!this.runItVote) return null;
+    const { voters, votes, maxTimes, times } = this.runItVote;
+    return { voters, voted: Object.keys(votes), maxTimes, times };
+  }
+
+  // The first board is the one dealt street by street. Each extra board keeps
+  // the cards that were out when the vote happened and deals the rest from
+  // the same committed deck.
+  _dealRunouts() {
+    const times = this.runItVote?.times || 1;
+    if (times === 1) return [this.communityCards];
+
+    const shared = this.communityCards.slice(0, this.runItVote.boardSize);
+    const boards = [this.communityCards];
+    for (let run = 2; run <= times; run++) {
+      const board = [...shared];
+      while (board.length < 5) board.push(this.deck.deal());
+      boards.push(board);
+      this._logAction('RUNOUT', { run, cards: board.slice(shared.length).map(c => c.toString()) });
     }
-    return true;
+    this.runouts = boards;
+    return boards;
   }
 
   _advancePhase() {
@@ -464,7 +1339,7 @@ class Table {
       player.lastAction = null;
     }
     this.currentBet = 0;
-    this.minRaise = this.bigBlind;
+    this.raisesThisStreet = 0;
 
     switch (this.phase) {
       case GAME_PHASES.PREFLOP:
@@ -485,6 +1360,13 @@ class Table {
       case GAME_PHASES.RIVER:
         return this._showdown();
     }
+    this.emit('streetDealt', {
+      handNumber: this.handNumber,
+      phase: this.phase,
+      cards: this.communityCards.slice(this.phase === GAME_PHASES.FLOP ? 0 : -1).map(c => c.toJSON()),
+      board: this.communityCards.map(c => c.toJSON())
+    });
+    this.minRaise = this.bettingStructure === 'fixed-limit' ? this._getLimitBetSize() : this.bigBlind;
 
     // Set first player after dealer
     this._setNextPlayer(this.dealerSeat);
@@ -500,42 +1382,93 @@ class Table {
 
   _showdown() {
     this.phase = GAME_PHASES.SHOWDOWN;
+    this.currentPlayerSeat = null;
+    this._stopActionClock();
+    this._returnUncalledBet();
     const playersInHand = this._getPlayersInHand();
-    
-    // Evaluate all hands
-    const results = playersInHand.map(player => {
-      const allCards = [...player.holeCards, ...this.communityCards];
-      const hand = evaluateHand(allCards);
+    if (playersInHand.length === 0) {
+      throw new Error('No players left in the hand to show down');
+    }
+    const boards = this._dealRunouts();
+
+    // Evaluate all hands on every board, strongest first
+    const runs = boards.map(board => playersInHand
+      .map(player => {
+        const hand = this._evaluatePlayerHand(player, board);
+        return {
+          player,
+          hand,
+          handName: getHandName(hand.ranking)
+        };
+      })
+      .sort((a, b) => compareHands(b.hand, a.hand)));
+    const results = runs[0];
+
+    // Award each pot to the best hand among the players eligible for it,
+    // splitting it evenly across the boards when run more than once.
+    // All amounts are whole chips: rake is rounded down and charged pot by
+    // pot, and odd chips go to the first board, then to the first winner
+    // left of the button.
+    const builtPots = this._buildPots();
+    const totalRake = this._calculateRake(this.pot);
+    this.rakeCollected += totalRake;
+    const potRakes = builtPots.map(pot => Math.floor(totalRake * pot.amount / this.pot));
+    if (potRakes.length > 0) {
+      potRakes[0] += totalRake - potRakes.reduce((sum, r) => sum + r, 0);
+    }
+
+    const payouts = {};
+    const pots = builtPots.map((pot, potIndex) => {
+      const rake = potRakes[potIndex];
+      const runShares = this._splitChips(pot.amount - rake, runs.length);
+      const runResults = runs.map((ranked, i) => {
+        // A pot only players who have left were eligible for goes to the best hand still in
+        const eligible = ranked.filter(r => pot.eligible.includes(r.player.id));
+        const contenders = eligible.length > 0 ? eligible : ranked;
+        const winners = this._orderFromButton(contenders
+          .filter(r => compareHands(r.hand, contenders[0].hand) === 0)
+          .map(r => r.player));
+        const shares = this._splitChips(runShares[i], winners.length);
+
+        const amounts = {};
+        winners.forEach((winner, w) => {
+          winner.chips += shares[w];
+          amounts[winner.id] = shares[w];
+          payouts[winner.id] = (payouts[winner.id] || 0) + shares[w];
+        });
+
+        return {
+          run: i + 1,
+          winners: winners.map(w => w.id),
+          winAmount: shares[shares.length - 1],
+          payouts: amounts,
+          handName: contenders[0].handName
+        };
+      });
+
+      if (runs.length === 1) {
+        const { winners, winAmount, payouts: potPayouts, handName } = runResults[0];
+        return { amount: pot.amount, rake, eligible: pot.eligible, winners, winAmount, payouts: potPayouts, handName };
+      }
       return {
-        player,
-        hand,
-        handName: getHandName(hand.ranking)
+        amount: pot.amount,
+        rake,
+        eligible: pot.eligible,
+        winners: [...new Set(runResults.flatMap(r => r.winners))],
+        runs: runResults
       };
     });
 
-    // Sort by hand strength
-    results.sort((a, b) => compareHands(b.hand, a.hand));
-
-    // Find winners (handle ties)
-    const winners = [results[0]];
-    for (let i = 1; i < results.length; i++) {
-      if (compareHands(results[i].hand, results[0].hand) === 0) {
-        winners.push(results[i]);
-      } else {
-        break;
-      }
-    }
-
-    // Award pot
-    const rake = Math.min(this.pot * this.rake, this.rakeMax);
-    const potAfterRake = this.pot - rake;
-    const winAmount = Math.floor(potAfterRake / winners.length);
-
-    for (const winner of winners) {
-      winner.player.chips += winAmount;
-    }
-
-    const deckReveal = this.deck.revealSalt();
+    const winners = results.filter(r => payouts[r.player.id] > 0);
+    // Proofs for the boards and the hands shown down; mucked cards stay private
+    const deckReveal = {
+      commitment: this.deckCommitment,
+      merkleRoot: this.deckMerkleRoot,
+      proofs: this._proveCards([
+        ...new Set(boards.flat().map(c => c.toString())),
+        ...results.flatMap(r => r.player.holeCards.map(c => c.toString()))
+      ])
+    };
 
     this._logAction('SHOWDOWN', {
       results: results.map(r => ({
@@ -543,31 +1476,45 @@ class Table {
         holeCards: r.player.holeCards.map(c => c.toString()),
         handName: r.handName
       })),
+      pots,
+      runouts: runs.length > 1 ? boards.map(board => board.map(c => c.toString())) : undefined,
       winners: winners.map(w => w.player.id),
+      payouts,
       pot: this.pot,
-      rake,
-      winAmount,
+      rake: totalRake,
       deckReveal
     });
 
     // Save completed hand to history
     this.completedHands.unshift({
       handNumber: this.handNumber,
+      handId: this.handId,
       timestamp: Date.now(),
-      winners: winners.map(w => ({ name: w.player.moltbookId, hand: w.handName })),
+      winners: winners.map(w => ({ name: w.player.moltbookId, hand: w.handName, amount: payouts[w.player.id] })),
       pot: this.pot,
+      pots: pots.map(p => ({
+        amount: p.amount,
+        winners: p.winners.map(id => this.players.get(id).moltbookId),
+        hand: p.handName,
+        runs: p.runs?.map(r => ({
+          winners: r.winners.map(id => this.players.get(id).moltbookId),
+          hand: r.handName,
+          amount: r.winAmount
+        }))
+      })),
       players: results.map(r => ({
         name: r.player.moltbookId,
         cards: r.player.holeCards.map(c => c.toString()),
         hand: r.handName,
-        won: winners.some(w => w.player.id === r.player.id)
+        won: payouts[r.player.id] > 0
       })),
-      communityCards: this.communityCards.map(c => c.toString())
+      communityCards: this.communityCards.map(c => c.toString()),
+      runouts: runs.length > 1 ? boards.map(board => board.map(c => c.toString())) : undefined
     });
     // Keep only last 20 hands
     if (this.completedHands.length > 20) this.completedHands.pop();
 
-    return {
+    return this._endHand({
       ...this.getGameState(),
       showdown: {
         results: results.map(r => ({
@@ -576,18 +1523,30 @@ class Table {
           handName: r.handName,
           handRanking: r.hand.ranking
         })),
+        pots,
+        runs: runs.length > 1 ? runs.map((ranked, i) => ({
+          run: i + 1,
+          board: boards[i].map(c => c.toJSON()),
+          results: ranked.map(r => ({
+            playerId: r.player.id,
+            handName: r.handName,
+            handRanking: r.hand.ranking
+          }))
+        })) : undefined,
         winners: winners.map(w => w.player.id),
+        payouts,
         pot: this.pot,
-        rake,
-        winAmount,
+        rake: totalRake,
         deckReveal
       }
-    };
+    });
   }
 
   _awardPot(winner) {
-    const rake = Math.min(this.pot * this.rake, this.rakeMax);
+    this._returnUncalledBet();
+    const rake = this._calculateRake(this.pot);
     const winAmount = this.pot - rake;
+    this.rakeCollected += rake;
     winner.chips += winAmount;
 
     this._logAction('WIN_UNCONTESTED', {
@@ -600,8 +1559,9 @@ class Table {
     // Save completed hand to history (uncontested win)
     this.completedHands.unshift({
       handNumber: this.handNumber,
+      handId: this.handId,
       timestamp: Date.now(),
-      winners: [{ name: winner.moltbookId, hand: 'Uncontested' }],
+      winners: [{ name: winner.moltbookId, hand: 'Uncontested', amount: winAmount }],
       pot: this.pot,
       players: [{ name: winner.moltbookId, cards: [], hand: 'Winner', won: true }],
       communityCards: this.communityCards.map(c => c.toString()),
@@ -610,16 +1570,187 @@ class Table {
     if (this.completedHands.length > 20) this.completedHands.pop();
 
     this.phase = GAME_PHASES.SHOWDOWN;
-    return {
+    this.currentPlayerSeat = null;
+    this._stopActionClock();
+    return this._endHand({
       ...this.getGameState(),
       winner: {
         playerId: winner.id,
         amount: winAmount,
         rake
       }
+    });
+  }
+
+  _endHand(result) {
+    const record = this._buildHandRecord(result);
+    this.emit('handEnded', { handNumber: this.handNumber, handId: this.handId, result, record });
+    for (const player of this.players.values()) {
+      if (player.dealtIn && player.chips === 0 && player.pendingChips === 0) {
+        this.emit('playerBusted', { playerId: player.id, moltbookId: player.moltbookId });
+      }
+    }
+    return result;
+  }
+
+  // The whole hand as plain JSON: who played with what, every action, the
+  // boards, the deck reveal and who won what
+  _buildHandRecord(result) {
+    const start = this.handHistory.find(e => e.action === 'HAND_START').data;
+    const showdown = result.showdown;
+    const payouts = showdown ? showdown.payouts : { [result.winner.playerId]: result.winner.amount };
+    const shown = new Set(showdown ? showdown.results.map(r => r.playerId) : []);
+
+    return {
+      handId: this.handId,
+      tableId: this.id,
+      tableName: this.name,
+      maxPlayers: this.maxPlayers,
+      handNumber: this.handNumber,
+      variant: this.variant,
+      bettingStructure: this.bettingStructure,
+      smallBlind: this.smallBlind,
+      bigBlind: this.bigBlind,
+      ante: this.ante,
+      bigBlindAnte: this.bigBlindAnte,
+      straddle: this.straddle ? { type: this.straddle, amount: this.straddleAmount } : null,
+      rakeRate: this.rake,
+      rakeMax: this.rakeMax,
+      startedAt: this.handStartedAt,
+      endedAt: Date.now(),
+      dealerSeat: start.dealerSeat,
+      smallBlindSeat: start.smallBlindSeat,
+      bigBlindSeat: start.bigBlindSeat,
+      players: start.seats.map(({ seat, playerId, moltbookId, chips }) => {
+        const player = this.players.get(playerId);
+        return {
+          seat,
+          playerId,
+          moltbookId,
+          startingStack: chips,
+          endingStack: player ? player.chips : null, // null once they've left the table
+          holeCards: this.dealtCards[playerId] || [],
+          shown: shown.has(playerId),
+          won: payouts[playerId] || 0
+        };
+      }),
+      board: this.communityCards.map(c => c.toString()),
+      runouts: this.runouts.length > 1 ? this.runouts.map(board => board.map(c => c.toString())) : undefined,
+      pot: showdown ? showdown.pot : result.winner.amount + result.winner.rake,
+      rake: showdown ? showdown.rake : result.winner.rake,
+      pots: showdown ? showdown.pots : undefined,
+      winners: showdown ? showdown.winners : [result.winner.playerId],
+      payouts,
+      uncontested: !showdown,
+      actions: this.handHistory.map(e => ({ ...e })),
+      deckOrder: this.deckOrder,
+      // The whole deck plus a proof for every card dealt; the archive hides what wasn't seen
+      deckReveal: {
+        ...this.deck.revealSalt(),
+        proofs: this._proveCards(this.deckOrder.slice(0, this.deckOrder.length - this.deck.cardsRemaining()))
+      }
     };
   }
 
+  _proveCards(cards) {
+    return this.deck.proveCards(cards.map(card => this.deckOrder.indexOf(card)));
+  }
+
+  _emitAction(action) {
+    if (this.actingOnTimeout) action.timedOut = true;
+    this.emit('actionTaken', action);
+    return action;
+  }
+
+  // Whole chips only, rounded down in the players' favour
+  _calculateRake(pot) {
+    return Math.floor(Math.min(pot * this.rake, this.rakeMax));
+  }
+
+  // Split whole chips into parts; the first parts get the odd chips
+  _splitChips(total, parts) {
+    const base = Math.floor(total / parts);
+    const odd = total - base * parts;
+    return Array.from({ length: parts }, (_, i) => base + (i < odd ? 1 : 0));
+  }
+
+  // Players in seat order starting left of the button
+  _orderFromButton(players) {
+    const distance = p => (this.seats.indexOf(p.id) - this.dealerSeat - 1 + this.maxPlayers) % this.maxPlayers;
+    return [...players].sort((a, b) => distance(a) - distance(b));
+  }
+
+  _evaluatePlayerHand(player, board = this.communityCards) {
+    if (this.variant === 'omaha') {
+      return evaluateOmahaHand(player.holeCards, board);
+    }
+    return evaluateHandFast([...player.holeCards, ...board], {
+      shortDeck: this.variant === 'shortdeck'
+    });
+  }
+
+  // Give back the part of the biggest bet that nobody else matched
+  _returnUncalledBet() {
+    const contributors = Array.from(this.players.values())
+      .filter(p => p.totalBetThisHand > 0)
+      .sort((a, b) => b.totalBetThisHand - a.totalBetThisHand);
+    if (contributors.length === 0) return;
+
+    const top = contributors[0];
+    const matched = contributors.length > 1 ? contributors[1].totalBetThisHand : 0;
+    const uncalled = top.totalBetThisHand - matched;
+    if (uncalled <= 0 || top.folded) return;
+
+    top.chips += uncalled;
+    top.totalBetThisHand -= uncalled;
+    top.currentBet = Math.max(0, top.currentBet - uncalled);
+    this.pot -= uncalled;
+    if (top.chips > 0) top.allIn = false;
+
+    this._logAction('UNCALLED_BET_RETURNED', { playerId: top.id, amount: uncalled });
+  }
+
+  // Split this.pot into a main pot and side pots by each player's contribution.
+  // Every pot lists the players still in the hand who are eligible to win it.
+  _buildPots() {
+    const contributors = Array.from(this.players.values()).filter(p => p.totalBetThisHand > 0);
+    const inHand = this._getPlayersInHand();
+    const levels = [...new Set(inHand.map(p => p.totalBetThisHand))]
+      .filter(level => level > 0)
+      .sort((a, b) => a - b);
+
+    const pots = [];
+    let previous = 0;
+    for (const level of levels) {
+      let amount = 0;
+      for (const player of contributors) {
+        amount += Math.min(player.totalBetThisHand, level) - Math.min(player.totalBetThisHand, previous);
+      }
+      const eligible = inHand.filter(p => p.totalBetThisHand >= level).map(p => p.id);
+
+      const last = pots[pots.length - 1];
+      if (last && last.eligible.length === eligible.length) {
+        last.amount += amount;
+      } else {
+        pots.push({ amount, eligible });
+      }
+      previous = level;
+    }
+
+    if (pots.length === 0) {
+      return this.pot > 0 ? [{ amount: this.pot, eligible: inHand.map(p => p.id) }] : [];
+    }
+
+    // Chips folded players put in above the last level, plus dead money from
+    // players who already left the table, still belong to the pot
+    const counted = pots.reduce((sum, p) => sum + p.amount, 0);
+    const aboveTop = contributors.reduce((sum, p) => sum + Math.max(0, p.totalBetThisHand - previous), 0);
+    pots[pots.length - 1].amount += aboveTop;
+    pots[0].amount += this.pot - counted - aboveTop;
+
+    return pots;
+  }
+
   _logAction(action, data) {
     this.handHistory.push({
       timestamp: Date.now(),
@@ -629,4 +1760,4 @@ class Table {
   }
 }
 
-module.exports = { Table, Player, GAME_PHASES };
+module.exports = { Table, Player, GAME_PHASES, BETTING_STRUCTURES, GAME_VARIANTS };
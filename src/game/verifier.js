@@ -0,0 +1,128 @@
+/**
+ * Hand verifier - checks an archived hand against its deck commitments
+ *
+ * Works on the hand records in the archive (or from /api/hands) and needs
+ * nothing from the server. With the full reveal, the order must hash to the
+ * commitment, be a full deck and come out of the committed seeds when there
+ * are any. Public records only carry Merkle proofs for the cards that were
+ * seen, and each must check out against the root published at the deal.
+ * Either way every card must sit where the table would have dealt it from.
+ */
+
+const crypto = require('crypto');
+const { SecureDeck, hashSeed, buildMerkleTree, verifyCardProof } = require('./deck');
+const { GAME_VARIANTS } = require('./table');
+
+// Check one hand. Each check has ok true or false, or null when the cards it
+// needs are hidden; valid is true when none failed.
+function verifyHand(record) {
+  const checks = [];
+  const check = (name, ok, message) => checks.push({ name, ok, message });
+  const reveal = record.deckReveal || {};
+  const start = record.actions?.find(a => a.action === 'HAND_START')?.data || {};
+  const variant = GAME_VARIANTS[record.variant] || GAME_VARIANTS.holdem;
+  const deckOptions = variant.deck || {};
+
+  // Hands archived before the full reveal still carry the deal order
+  const order = reveal.order || (record.deckOrder && [...record.deckOrder].reverse());
+  if (!order && !reveal.merkleRoot) {
+    check('order', false, 'Hand was archived without its deck order or card proofs');
+    return { handId: record.handId, valid: false, checks };
+  }
+
+  if (order) {
+    const commitment = crypto.createHash('sha256').update(order.join(',') + reveal.salt).digest('hex');
+    check('commitment', commitment === reveal.commitment, commitment === reveal.commitment
+      ? 'Order and salt hash to the commitment'
+      : 'Order and salt do not hash to the commitment');
+
+    const fullDeck = new SecureDeck(deckOptions).order;
+    const complete = order.length === fullDeck.length && [...order].sort().join() === fullDeck.sort().join();
+    check('deck', complete, complete
+      ? `Order holds all ${fullDeck.length} cards once each`
+      : 'Order is not a complete deck');
+
+    if (reveal.serverSeed) checkSeeds(start, reveal, order, deckOptions, check);
+  }
+
+  if (reveal.merkleRoot) {
+    const published = reveal.merkleRoot === start.merkleRoot;
+    check('merkleRoot', published, published
+      ? 'Merkle root matches the one published at the deal'
+      : 'Merkle root does not match the one published at the deal');
+
+    if (order) {
+      const root = buildMerkleTree([...order].reverse(), reveal.salt).pop()[0];
+      check('merkleTree', root === reveal.merkleRoot, root === reveal.merkleRoot
+        ? 'Order and salt build the Merkle root'
+        : 'Order and salt do not build the Merkle root');
+    }
+  }
+
+  checkDeal(record, order, reveal, variant.holeCards, check);
+
+  return { handId: record.handId, valid: checks.every(c => c.ok !== false), checks };
+}
+
+// The seeds match the hashes published at the deal and shuffle into the order
+function checkSeeds(start, reveal, order, deckOptions, check) {
+  const committed = start.playerSeeds || [];
+
+  const serverOk = hashSeed(reveal.serverSeed) === start.serverSeedHash;
+  check('serverSeed', serverOk, serverOk
+    ? 'Server seed matches the hash published at the deal'
+    : 'Server seed does not match the hash published at the deal');
+
+  const playerSeeds = reveal.playerSeeds || [];
+  const seedsOk = playerSeeds.length === committed.length && playerSeeds.every((p, i) =>
+    p.playerId === committed[i].playerId && hashSeed(p.seed) === committed[i].seedHash);
+  check('playerSeeds', seedsOk, seedsOk
+    ? `${playerSeeds.length} player seed(s) match the hashes published at the deal`
+    : 'Player seeds do not match the hashes published at the deal');
+
+  const shuffled = new SecureDeck({ ...deckOptions, serverSeed: reveal.serverSeed, playerSeeds }).order;
+  const shuffleOk = shuffled.join() === order.join();
+  check('shuffle', shuffleOk, shuffleOk
+    ? 'Shuffling with the seeds gives the committed order'
+    : 'Shuffling with the seeds gives a different order');
+}
+
+// Hole cards come off the deck seat by seat, then the board, then each extra
+// run's cards after the ones it shares with the first board. Cards are checked
+// against the order when there is one, otherwise against their proofs.
+function checkDeal(record, order, reveal, holeCards, check) {
+  const dealt = order && [...order].reverse();
+  const proofs = new Map((reveal.proofs || []).map(p => [p.position, p]));
+  let position = 0;
+  const compare = (name, label, cards, count) => {
+    const from = position;
+    position += count;
+    const range = `cards ${from + 1}-${position} of the deck`;
+    if (!cards) return check(name, null, `${label} are hidden`);
+
+    if (dealt) {
+      const ok = cards.length === count && cards.every((card, i) => card === dealt[from + i]);
+      return check(name, ok, ok ? `${label} are ${range}` : `${label} are not ${range}`);
+    }
+
+    const cardProofs = cards.map((card, i) => proofs.get(from + i));
+    if (cardProofs.some(p => !p)) return check(name, null, `${label} have no proofs`);
+    const ok = cards.length === count && cardProofs.every((p, i) =>
+      p.card === cards[i] && verifyCardProof(reveal.merkleRoot, p));
+    check(name, ok, ok ? `${label} are proven to be ${range}` : `${label} do not prove to be ${range}`);
+  };
+
+  for (const player of [...record.players].sort((a, b) => a.seat - b.seat)) {
+    compare('holeCards', `Seat ${player.seat} (${player.moltbookId}) hole cards`, player.holeCards, holeCards);
+  }
+
+  const boards = record.runouts || [record.board];
+  if (boards[0].length > 0) compare('board', 'Board cards', boards[0], boards[0].length);
+  for (let run = 1; run < boards.length; run++) {
+    const shared = boards[run].findIndex((card, i) => card !== boards[0][i]);
+    const cards = boards[run].slice(shared);
+    compare('board', `Run ${run + 1} cards`, cards, cards.length);
+  }
+}
+
+module.exports = { verifyHand };
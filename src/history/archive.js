@@ -0,0 +1,160 @@
+/**
+ * Hand history archive (Persistent)
+ * Every finished hand is appended to a JSONL file and never rewritten.
+ * A small in-memory index keeps queries from reading the whole file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashSeed } = require('../game/deck');
+
+const ARCHIVE_FILE = path.join(__dirname, '../../data/hands.jsonl');
+const MAX_PAGE_SIZE = 100;
+
+class HandArchive {
+  constructor(file = ARCHIVE_FILE) {
+    this.file = file;
+    this.index = []; // Oldest first: { handId, tableId, handNumber, players, endedAt, pot, offset, length }
+    this.byId = new Map();
+    this.size = 0; // Bytes in the file
+    this._load();
+  }
+
+  _load() {
+    try {
+      const dir = path.dirname(this.file);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      if (!fs.existsSync(this.file)) return;
+
+      const data = fs.readFileSync(this.file);
+      let offset = 0;
+      while (offset < data.length) {
+        let end = data.indexOf(0x0a, offset);
+        if (end === -1) end = data.length;
+        try {
+          this._addToIndex(JSON.parse(data.toString('utf8', offset, end)), offset, end - offset);
+        } catch (err) {
+          // A line cut short by a crash; everything after it is still good
+          console.error(`Skipping damaged hand archive entry at byte ${offset}`);
+        }
+        offset = end + 1;
+      }
+      this.size = data.length;
+
+      // Start the next entry on its own line
+      if (data.length > 0 && data[data.length - 1] !== 0x0a) {
+        fs.appendFileSync(this.file, '\n');
+        this.size++;
+      }
+      console.log(`📚 Loaded ${this.index.length} archived hands`);
+    } catch (err) {
+      console.error('Failed to load hand archive:', err.message);
+    }
+  }
+
+  _addToIndex(record, offset, length) {
+    const entry = {
+      handId: record.handId,
+      tableId: record.tableId,
+      handNumber: record.handNumber,
+      players: record.players.map(p => p.moltbookId),
+      endedAt: record.endedAt,
+      pot: record.pot,
+      offset,
+      length
+    };
+    this.index.push(entry);
+    this.byId.set(record.handId, entry);
+  }
+
+  append(record) {
+    const line = Buffer.from(JSON.stringify(record) + '\n');
+    fs.appendFileSync(this.file, line);
+    this._addToIndex(record, this.size, line.length - 1);
+    this.size += line.length;
+  }
+
+  get(handId) {
+    const entry = this.byId.get(handId);
+    return entry ? this._read(entry) : null;
+  }
+
+  // Latest hand with this number at a table
+  findByNumber(tableId, handNumber) {
+    for (let i = this.index.length - 1; i >= 0; i--) {
+      const entry = this.index[i];
+      if (entry.tableId === tableId && entry.handNumber === handNumber) return this._read(entry);
+    }
+    return null;
+  }
+
+  // Every archived hand, oldest first
+  *records() {
+    for (const entry of this.index) yield this._read(entry);
+  }
+
+  // Newest first. Filters: tableId, player (moltbookId), from/to (ms since
+  // epoch, on when the hand ended) and minPot.
+  query({ tableId, player, from, to, minPot, limit = 20, offset = 0 } = {}) {
+    limit = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+    offset = Math.max(0, offset);
+
+    const matches = [];
+    for (let i = this.index.length - 1; i >= 0; i--) {
+      const entry = this.index[i];
+      if (tableId && entry.tableId !== tableId) continue;
+      if (player && !entry.players.includes(player)) continue;
+      if (from !== undefined && entry.endedAt < from) continue;
+      if (to !== undefined && entry.endedAt > to) continue;
+      if (minPot !== undefined && entry.pot < minPot) continue;
+      matches.push(entry);
+    }
+
+    return {
+      hands: matches.slice(offset, offset + limit).map(entry => this._read(entry)),
+      total: matches.length,
+      limit,
+      offset
+    };
+  }
+
+  _read(entry) {
+    const fd = fs.openSync(this.file, 'r');
+    try {
+      const buffer = Buffer.alloc(entry.length);
+      fs.readSync(fd, buffer, 0, entry.length, entry.offset);
+      return JSON.parse(buffer.toString('utf8'));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+// Hole cards nobody saw at the table are hidden, except the viewer's own.
+// The deck order, salt and seeds would give the rest away, even after the
+// hand, so only the server seed's hash and the Merkle proofs for the cards
+// left showing are kept.
+function redactHand(record, { viewer = null, showAll = false } = {}) {
+  if (showAll) return record;
+  const players = record.players.map(p => (p.shown || p.moltbookId === viewer) ? p : { ...p, holeCards: null });
+  const visible = new Set([
+    ...(record.runouts || [record.board]).flat(),
+    ...players.flatMap(p => p.holeCards || [])
+  ]);
+  const { commitment, merkleRoot, serverSeed, proofs = [] } = record.deckReveal;
+  return {
+    ...record,
+    players,
+    deckReveal: {
+      commitment,
+      merkleRoot,
+      serverSeedHash: serverSeed ? hashSeed(serverSeed) : undefined,
+      proofs: proofs.filter(p => visible.has(p.card))
+    },
+    deckOrder: undefined
+  };
+}
+
+module.exports = { HandArchive, redactHand };
@@ -0,0 +1,377 @@
+/**
+ * Open Hand History (JSON)
+ * Exports archived hands in the OHH schema and replays OHH files through a
+ * Table, so hands can move between tools and disputes can be reproduced
+ */
+
+const { Table } = require('../game/table');
+const { Card, SecureDeck } = require('../game/deck');
+const { toStarsCard } = require('./pokerstars');
+const { seatPlayers, stackedDeck } = require('./replay');
+
+const SPEC_VERSION = '1.4.6';
+const BET_TYPES = { 'no-limit': 'NL', 'pot-limit': 'PL', 'fixed-limit': 'FL' };
+const GAME_TYPES = { holdem: 'Holdem', omaha: 'Omaha', shortdeck: 'Holdem' };
+const STREETS = { FLOP: 'Flop', TURN: 'Turn', RIVER: 'River' };
+const POSTS = ['Post Ante', 'Post SB', 'Post BB', 'Straddle', 'Post Dead', 'Post Extra Blind'];
+const SUITS = { s: '♠', h: '♥', d: '♦', c: '♣' };
+
+// 'Ts' -> Card('10', '♠')
+function fromShortCard(card) {
+  const rank = card.slice(0, -1);
+  return new Card(rank === 'T' ? '10' : rank, SUITS[card.slice(-1)]);
+}
+
+// Table-specific settings OHH has no field for
+function siteData(record) {
+  return {
+    handId: record.handId,
+    tableId: record.tableId,
+    variant: record.variant,
+    bigBlindAnte: record.bigBlindAnte,
+    straddle: record.straddle,
+    rakeRate: record.rakeRate,
+    rakeMax: record.rakeMax,
+    runouts: record.runouts?.map(board => board.map(toStarsCard))
+  };
+}
+
+// hero is the moltbookId the file is written for. Hole cards are exported
+// for every player the record has them for.
+function toOhh(record, { hero = null } = {}) {
+  const ids = new Map(record.players.map((p, i) => [p.playerId, i + 1]));
+  const stacks = Object.fromEntries(record.players.map(p => [p.playerId, p.startingStack]));
+  const rounds = [{ id: 0, street: 'Preflop', cards: [], actions: [] }];
+  let round = rounds[0];
+  let actionNumber = 0;
+
+  // chips is what goes in from the stack; amount is what the file shows,
+  // which for a raise is the total raised to
+  const add = (playerId, action, chips = 0, cards = undefined, amount = chips) => {
+    const entry = { action_number: ++actionNumber, player_id: ids.get(playerId), action };
+    if (chips > 0) {
+      stacks[playerId] -= chips;
+      entry.amount = amount;
+      entry.is_allin = stacks[playerId] === 0;
+    }
+    if (cards) entry.cards = cards.map(toStarsCard);
+    round.actions.push(entry);
+  };
+  const newRound = (street, cards) => {
+    round = { id: rounds.length, street, cards: cards.map(toStarsCard), actions: [] };
+    rounds.push(round);
+  };
+
+  let showdown = null;
+  for (const { action, data } of record.actions) {
+    switch (action) {
+      case 'ANTE':
+        for (const [playerId, amount] of Object.entries(data.antes)) {
+          if (amount > 0) add(playerId, 'Post Ante', amount);
+        }
+        break;
+      case 'BLINDS':
+        if (data.sb > 0) add(data.sbPlayerId, 'Post SB', data.sb);
+        if (data.bb > 0) add(data.bbPlayerId, 'Post BB', data.bb);
+        break;
+      case 'BIG_BLIND_ANTE':
+        add(data.playerId, 'Post Ante', data.amount);
+        break;
+      case 'STRADDLE':
+        add(data.playerId, 'Straddle', data.amount);
+        break;
+      case 'MISSED_BLINDS':
+        if (data.live > 0) add(data.playerId, 'Post Extra Blind', data.live);
+        if (data.dead > 0) add(data.playerId, 'Post Dead', data.dead);
+        break;
+      case 'HAND_START':
+        for (const p of record.players) {
+          add(p.playerId, 'Dealt Cards', 0, p.holeCards || []);
+        }
+        break;
+      case 'FOLD':
+        add(data.playerId, 'Fold');
+        break;
+      case 'CHECK':
+        add(data.playerId, 'Check');
+        break;
+      case 'CALL':
+        add(data.playerId, 'Call', data.amount);
+        break;
+      case 'BET':
+        add(data.playerId, 'Bet', data.amount);
+        break;
+      case 'RAISE':
+        add(data.playerId, 'Raise', data.amount, undefined, data.newBet);
+        break;
+      case 'FLOP':
+        newRound('Flop', data.cards);
+        break;
+      case 'TURN':
+      case 'RIVER':
+        newRound(STREETS[action], [data.card]);
+        break;
+      case 'RUNOUT': {
+        // Each extra board gets its own rounds for the streets it dealt
+        const sharedCount = 5 - data.cards.length;
+        let dealt = 0;
+        for (const [size, street] of [[3, 'Flop'], [4, 'Turn'], [5, 'River']]) {
+          if (size <= sharedCount) continue;
+          const count = street === 'Flop' ? 3 : 1;
+          newRound(street, data.cards.slice(dealt, dealt + count));
+          dealt += count;
+        }
+        break;
+      }
+      case 'UNCALLED_BET_RETURNED':
+        stacks[data.playerId] += data.amount;
+        break;
+      case 'SHOWDOWN':
+        showdown = data;
+        break;
+    }
+  }
+
+  if (showdown) {
+    newRound('Showdown', []);
+    for (const r of showdown.results) {
+      add(r.playerId, 'Shows Cards', 0, r.holeCards);
+    }
+  }
+
+  const pots = showdown
+    ? showdown.pots.map((pot, i) => ({
+      number: i,
+      amount: pot.amount,
+      rake: pot.rake,
+      player_wins: Object.entries(pot.runs
+        ? pot.runs.reduce((sum, run) => {
+          for (const [id, amount] of Object.entries(run.payouts)) sum[id] = (sum[id] || 0) + amount;
+          return sum;
+        }, {})
+        : pot.payouts).map(([playerId, amount]) => ({ player_id: ids.get(playerId), win_amount: amount }))
+    }))
+    : [{
+      number: 0,
+      amount: record.pot,
+      rake: record.rake,
+      player_wins: record.winners.map(playerId => ({ player_id: ids.get(playerId), win_amount: record.payouts[playerId] }))
+    }];
+
+  const heroPlayer = record.players.find(p => p.moltbookId === hero);
+  return {
+    ohh: {
+      spec_version: SPEC_VERSION,
+      site_name: 'Claw Poker',
+      network_name: 'Claw Poker',
+      internal_version: '1',
+      tournament: false,
+      game_number: record.handId,
+      start_date_utc: new Date(record.startedAt).toISOString().replace(/\.\d{3}Z$/, 'Z'),
+      table_name: record.tableName,
+      table_handle: record.tableId,
+      game_type: GAME_TYPES[record.variant],
+      bet_limit: { bet_type: BET_TYPES[record.bettingStructure], bet_cap: 0 },
+      table_size: record.maxPlayers,
+      currency: 'BELIAL',
+      dealer_seat: record.dealerSeat + 1,
+      small_blind_amount: record.smallBlind,
+      big_blind_amount: record.bigBlind,
+      ante_amount: record.ante || record.bigBlindAnte,
+      hero_player_id: heroPlayer ? ids.get(heroPlayer.playerId) : undefined,
+      flags: record.runouts?.length === 2 ? ['Run_It_Twice'] : [],
+      players: record.players.map(p => ({
+        id: ids.get(p.playerId),
+        seat: p.seat + 1,
+        name: p.moltbookId,
+        starting_stack: p.startingStack
+      })),
+      rounds,
+      pots,
+      claw_poker: siteData(record)
+    }
+  };
+}
+
+// Deal a new Table through the hand in an OHH file. Throws as soon as the
+// table disagrees with the file (a blind, whose turn it is, an amount) and
+// returns { table, result, differences }, where differences lists players
+// the table paid differently from the file's pots.
+function replayOhh(file) {
+  const ohh = file.ohh || file;
+  const site = ohh.claw_poker || {};
+  const actions = ohh.rounds.flatMap(r => r.actions);
+  const posts = actions.filter(a => POSTS.includes(a.action));
+
+  // Settings the file only implies: a straddle and an ante only the big blind paid
+  const straddlePost = posts.find(a => a.action === 'Straddle');
+  const antes = posts.filter(a => a.action === 'Post Ante');
+  const bbPost = posts.find(a => a.action === 'Post BB');
+  const bigBlindAnte = site.bigBlindAnte ??
+    (antes.length === 1 && bbPost && antes[0].player_id === bbPost.player_id ? antes[0].amount : 0);
+  const seatOf = id => ohh.players.find(p => p.id === id).seat;
+  const straddle = site.straddle || (straddlePost
+    ? { type: seatOf(straddlePost.player_id) === ohh.dealer_seat ? 'button' : 'utg', amount: straddlePost.amount }
+    : null);
+  const runs = site.runouts?.length || Math.max(1, ohh.rounds.filter(r => r.street === 'River').length);
+
+  const table = new Table(ohh.table_handle || 'ohh-replay', {
+    name: ohh.table_name,
+    maxPlayers: ohh.table_size,
+    smallBlind: ohh.small_blind_amount,
+    bigBlind: ohh.big_blind_amount,
+    ante: bigBlindAnte ? 0 : ohh.ante_amount || 0,
+    bigBlindAnte,
+    straddle: straddle?.type || null,
+    straddleAmount: straddle?.amount,
+    variant: site.variant || (ohh.game_type === 'Omaha' ? 'omaha' : 'holdem'),
+    bettingStructure: Object.keys(BET_TYPES).find(key => BET_TYPES[key] === ohh.bet_limit.bet_type),
+    rake: site.rakeRate,
+    rakeMax: site.rakeMax,
+    runItMax: runs,
+    minBuyIn: 1,
+    maxBuyIn: Math.max(...ohh.players.map(p => p.starting_stack))
+  });
+
+  // Blinds owed from missed hands
+  const posted = (p, action) => posts.some(a => a.player_id === p.id && a.action === action);
+  const newIds = seatPlayers(table, ohh.players.map(p => ({
+    name: p.name,
+    seat: p.seat - 1,
+    chips: p.starting_stack,
+    missedSmallBlind: posted(p, 'Post Dead'),
+    missedBigBlind: posted(p, 'Post Extra Blind')
+  })), ohh.dealer_seat - 1);
+  const playerIds = new Map(ohh.players.map((p, i) => [p.id, newIds[i]]));
+  const name = id => ohh.players.find(p => p.id === id).name;
+
+  table.startHand({ deck: stackedDeck(table, dealOrder(ohh, table, playerIds)) });
+  checkPosts(table, posts, playerIds, name);
+
+  let result = null;
+  for (const action of actions) {
+    if (POSTS.includes(action.action) || action.action === 'Dealt Cards' || action.action === 'Shows Cards') continue;
+    finishRunItVote(table, runs);
+
+    const playerId = playerIds.get(action.player_id);
+    if (table.seats[table.currentPlayerSeat] !== playerId) {
+      throw new Error(`Action ${action.action_number}: it is not ${name(action.player_id)}'s turn`);
+    }
+
+    switch (action.action) {
+      case 'Fold':
+        result = table.fold(playerId);
+        break;
+      case 'Check':
+        result = table.check(playerId);
+        break;
+      case 'Call':
+        result = table.call(playerId);
+        break;
+      case 'Bet':
+        result = table.bet(playerId, { to: action.amount });
+        break;
+      case 'Raise':
+        result = table.raise(playerId, { to: action.amount });
+        break;
+      default:
+        throw new Error(`Action ${action.action_number}: unsupported action ${action.action}`);
+    }
+
+    const applied = action.action === 'Raise' ? result.action.to : result.action.amount;
+    if (action.amount !== undefined && applied !== action.amount) {
+      throw new Error(`Action ${action.action_number}: ${name(action.player_id)} ${action.action.toLowerCase()} ${action.amount} in the file, ${applied} at the table`);
+    }
+  }
+  result = finishRunItVote(table, runs) || result;
+  if (table.isHandInProgress()) {
+    throw new Error('The file ends before the hand does');
+  }
+
+  // Compare what the table paid with the file's pots
+  const expected = {};
+  for (const pot of ohh.pots) {
+    for (const win of pot.player_wins) {
+      expected[win.player_id] = (expected[win.player_id] || 0) + win.win_amount;
+    }
+  }
+  const paid = result.showdown ? result.showdown.payouts : { [result.winner.playerId]: result.winner.amount };
+  const differences = [];
+  for (const p of ohh.players) {
+    const inFile = expected[p.id] || 0;
+    const atTable = paid[playerIds.get(p.id)] || 0;
+    if (inFile !== atTable) differences.push({ player: p.name, inFile, atTable });
+  }
+
+  return { table, result, differences };
+}
+
+// Every card in the order the table deals it: hole cards seat by seat, then
+// the board, then any extra runs. Cards the file doesn't show are filled in
+// from what's left.
+function dealOrder(ohh, table, playerIds) {
+  const known = {};
+  for (const round of ohh.rounds) {
+    for (const action of round.actions) {
+      if ((action.action === 'Dealt Cards' || action.action === 'Shows Cards') && action.cards?.length) {
+        known[playerIds.get(action.player_id)] = action.cards;
+      }
+    }
+  }
+
+  const order = [];
+  for (const playerId of table.seats) {
+    if (!playerId) continue;
+    const cards = known[playerId] || [];
+    for (let i = 0; i < table.holeCardCount; i++) order.push(cards[i] || null);
+  }
+  for (const round of ohh.rounds) {
+    if (round.street !== 'Preflop' && round.street !== 'Showdown') order.push(...round.cards);
+  }
+
+  const fullDeck = new SecureDeck(table.deckOptions).cards.map(c => toStarsCard(c.toString()));
+  const unused = fullDeck.filter(card => !order.includes(card));
+  for (let i = 0; i < order.length; i++) {
+    if (order[i] === null) order[i] = unused.shift();
+  }
+  return [...order, ...unused].map(fromShortCard);
+}
+
+function checkPosts(table, posts, playerIds, name) {
+  const posted = [];
+  for (const { action, data } of table.handHistory) {
+    if (action === 'ANTE') {
+      for (const [playerId, amount] of Object.entries(data.antes)) {
+        if (amount > 0) posted.push({ playerId, amount });
+      }
+    } else if (action === 'BLINDS') {
+      if (data.sb > 0) posted.push({ playerId: data.sbPlayerId, amount: data.sb });
+      if (data.bb > 0) posted.push({ playerId: data.bbPlayerId, amount: data.bb });
+    } else if (action === 'BIG_BLIND_ANTE' || action === 'STRADDLE') {
+      posted.push({ playerId: data.playerId, amount: data.amount });
+    } else if (action === 'MISSED_BLINDS') {
+      if (data.live > 0) posted.push({ playerId: data.playerId, amount: data.live });
+      if (data.dead > 0) posted.push({ playerId: data.playerId, amount: data.dead });
+    }
+  }
+
+  const key = ({ playerId, amount }) => `${playerId}:${amount}`;
+  const inFile = posts.map(p => key({ playerId: playerIds.get(p.player_id), amount: p.amount })).sort();
+  const atTable = posted.map(key).sort();
+  if (inFile.join() !== atTable.join()) {
+    const who = posts.map(p => `${name(p.player_id)} ${p.action} ${p.amount}`).join(', ');
+    throw new Error(`The table posted different blinds and antes than the file (${who})`);
+  }
+}
+
+// All-in players vote for the number of runs the file shows
+function finishRunItVote(table, runs) {
+  let result = null;
+  while (table.runItVote && table.runItVote.times === null) {
+    const voter = table.runItVote.voters.find(id => table.runItVote.votes[id] === undefined);
+    result = table.voteRunIt(voter, Math.min(runs, table.runItVote.maxTimes));
+  }
+  return result;
+}
+
+module.exports = { toOhh, replayOhh, fromShortCard };
@@ -0,0 +1,228 @@
+/**
+ * PokerStars-style text hand histories
+ * Turns an archived hand record into the format trackers, solvers and
+ * equity tools import
+ */
+
+const SUIT_LETTERS = { '♠': 's', '♥': 'h', '♦': 'd', '♣': 'c' };
+const GAME_NAMES = { holdem: "Hold'em", omaha: 'Omaha', shortdeck: "6+ Hold'em" };
+const STRUCTURE_NAMES = { 'no-limit': 'No Limit', 'pot-limit': 'Pot Limit', 'fixed-limit': 'Limit' };
+const STREET_NAMES = { FLOP: 'Flop', TURN: 'Turn', RIVER: 'River' };
+const RUN_NAMES = ['FIRST', 'SECOND', 'THIRD', 'FOURTH', 'FIFTH'];
+
+// '10♠' -> 'Ts', 'A♥' -> 'Ah'
+function toStarsCard(card) {
+  const suit = card.slice(-1);
+  const rank = card.slice(0, -1);
+  return `${rank === '10' ? 'T' : rank}${SUIT_LETTERS[suit]}`;
+}
+
+function cardList(cards) {
+  return `[${cards.map(toStarsCard).join(' ')}]`;
+}
+
+function formatDate(time) {
+  const d = new Date(time);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}/${pad(d.getUTCMonth() + 1)}/${pad(d.getUTCDate())} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} UTC`;
+}
+
+// Trackers want a numeric hand number that is unique across tables
+function starsHandNumber(record) {
+  return `${record.startedAt}${String(record.handNumber % 1000).padStart(3, '0')}`;
+}
+
+// hero is the moltbookId whose hole cards go on the "Dealt to" line
+function toPokerStars(record, { hero = null } = {}) {
+  const players = new Map(record.players.map(p => [p.playerId, p]));
+  const name = playerId => players.get(playerId)?.moltbookId || playerId;
+  const stacks = Object.fromEntries(record.players.map(p => [p.playerId, p.startingStack]));
+  const foldedOn = {};
+  let currentBet = 0;
+  let street = 'PREFLOP';
+  let runTimes = 1;
+
+  const lines = [];
+  // Take chips off a stack, noting when that leaves the player all-in
+  const put = (playerId, amount) => {
+    stacks[playerId] -= amount;
+    return stacks[playerId] === 0 ? ' and is all-in' : '';
+  };
+
+  lines.push(`PokerStars Hand #${starsHandNumber(record)}: ${GAME_NAMES[record.variant]} ${STRUCTURE_NAMES[record.bettingStructure]} ` +
+    `(${record.smallBlind}/${record.bigBlind}) - ${formatDate(record.startedAt)}`);
+  lines.push(`Table '${record.tableId}' ${record.maxPlayers}-max Seat #${record.dealerSeat + 1} is the button`);
+  for (const p of record.players) {
+    lines.push(`Seat ${p.seat + 1}: ${p.moltbookId} (${p.startingStack} in chips)`);
+  }
+
+  let showdown = null;
+  let uncontested = null;
+
+  for (const { action, data } of record.actions) {
+    switch (action) {
+      case 'ANTE':
+        for (const [playerId, amount] of Object.entries(data.antes)) {
+          if (amount > 0) lines.push(`${name(playerId)}: posts the ante ${amount}${put(playerId, amount)}`);
+        }
+        break;
+      case 'BLINDS':
+        if (data.sb > 0) lines.push(`${name(data.sbPlayerId)}: posts small blind ${data.sb}${put(data.sbPlayerId, data.sb)}`);
+        if (data.bb > 0) lines.push(`${name(data.bbPlayerId)}: posts big blind ${data.bb}${put(data.bbPlayerId, data.bb)}`);
+        currentBet = Math.max(data.sb, data.bb);
+        break;
+      case 'BIG_BLIND_ANTE':
+        lines.push(`${name(data.playerId)}: posts the ante ${data.amount}${put(data.playerId, data.amount)}`);
+        break;
+      case 'STRADDLE':
+        lines.push(`${name(data.playerId)}: posts straddle ${data.amount}${put(data.playerId, data.amount)}`);
+        currentBet = Math.max(currentBet, data.amount);
+        break;
+      case 'MISSED_BLINDS': {
+        const total = data.live + data.dead;
+        if (total === 0) break;
+        const what = data.live && data.dead ? 'small & big blinds' : data.live ? 'big blind' : 'small blind';
+        lines.push(`${name(data.playerId)}: posts ${what} ${total}${put(data.playerId, total)}`);
+        break;
+      }
+      case 'HAND_START': {
+        lines.push('*** HOLE CARDS ***');
+        const heroEntry = record.players.find(p => p.moltbookId === hero);
+        if (heroEntry && heroEntry.holeCards?.length) {
+          lines.push(`Dealt to ${hero} ${cardList(heroEntry.holeCards)}`);
+        }
+        break;
+      }
+      case 'TIMEOUT':
+        lines.push(`${name(data.playerId)} has timed out`);
+        break;
+      case 'FOLD':
+        foldedOn[data.playerId] = street;
+        lines.push(`${name(data.playerId)}: folds`);
+        break;
+      case 'CHECK':
+        lines.push(`${name(data.playerId)}: checks`);
+        break;
+      case 'CALL':
+        lines.push(`${name(data.playerId)}: calls ${data.amount}${put(data.playerId, data.amount)}`);
+        break;
+      case 'BET':
+        lines.push(`${name(data.playerId)}: bets ${data.amount}${put(data.playerId, data.amount)}`);
+        currentBet = data.newBet;
+        break;
+      case 'RAISE':
+        lines.push(`${name(data.playerId)}: raises ${data.newBet - currentBet} to ${data.newBet}${put(data.playerId, data.amount)}`);
+        currentBet = data.newBet;
+        break;
+      case 'RUN_IT':
+        runTimes = data.times;
+        break;
+      case 'FLOP':
+      case 'TURN':
+      case 'RIVER': {
+        street = action;
+        currentBet = 0;
+        const dealt = action === 'FLOP' ? data.cards : [data.card];
+        const board = record.board.slice(0, action === 'FLOP' ? 3 : action === 'TURN' ? 4 : 5);
+        const before = board.slice(0, board.length - dealt.length);
+        const label = runTimes > 1 ? `FIRST ${action}` : action;
+        lines.push(`*** ${label} *** ${before.length ? cardList(before) + ' ' : ''}${cardList(dealt)}`);
+        break;
+      }
+      case 'RUNOUT': {
+        // Only the streets this run dealt itself
+        const board = record.runouts[data.run - 1];
+        const shared = board.slice(0, 5 - data.cards.length);
+        for (const [size, streetName] of [[3, 'FLOP'], [4, 'TURN'], [5, 'RIVER']]) {
+          if (size <= shared.length) continue;
+          const dealt = board.slice(streetName === 'FLOP' ? 0 : size - 1, size);
+          const before = board.slice(0, size - dealt.length);
+          lines.push(`*** ${RUN_NAMES[data.run - 1]} ${streetName} *** ${before.length ? cardList(before) + ' ' : ''}${cardList(dealt)}`);
+        }
+        break;
+      }
+      case 'UNCALLED_BET_RETURNED':
+        stacks[data.playerId] += data.amount;
+        lines.push(`Uncalled bet (${data.amount}) returned to ${name(data.playerId)}`);
+        break;
+      case 'SHOWDOWN':
+        showdown = data;
+        break;
+      case 'WIN_UNCONTESTED':
+        uncontested = data;
+        break;
+    }
+  }
+
+  const potName = (index, count) => count === 1 ? 'pot' : index === 0 ? 'main pot' : `side pot-${index}`;
+  const handNames = {};
+
+  if (showdown) {
+    const runs = record.runouts ? record.runouts.length : 1;
+    for (let run = 1; run <= runs; run++) {
+      lines.push(runs > 1 ? `*** ${RUN_NAMES[run - 1]} SHOW DOWN ***` : '*** SHOW DOWN ***');
+      if (run === 1) {
+        for (const r of showdown.results) {
+          handNames[r.playerId] = r.handName;
+          lines.push(`${name(r.playerId)}: shows ${cardList(r.holeCards)} (${r.handName})`);
+        }
+      }
+      showdown.pots.forEach((pot, index) => {
+        const result = runs > 1 ? pot.runs[run - 1] : pot;
+        for (const [playerId, amount] of Object.entries(result.payouts)) {
+          lines.push(`${name(playerId)} collected ${amount} from ${potName(index, showdown.pots.length)}`);
+        }
+      });
+    }
+  } else if (uncontested) {
+    lines.push(`${name(uncontested.playerId)} collected ${uncontested.winAmount} from pot`);
+    lines.push(`${name(uncontested.playerId)}: doesn't show hand`);
+  }
+
+  // Summary
+  lines.push('*** SUMMARY ***');
+  const pots = showdown?.pots || [];
+  const potParts = pots.length > 1
+    ? ' ' + pots.map((pot, index) => `${index === 0 ? 'Main pot' : `Side pot-${index}`} ${pot.amount}.`).join(' ')
+    : '';
+  lines.push(`Total pot ${record.pot}${potParts} | Rake ${record.rake}`);
+  if (record.runouts) {
+    lines.push(`Hand was run ${record.runouts.length === 2 ? 'twice' : `${record.runouts.length} times`}`);
+    record.runouts.forEach((board, i) => lines.push(`${RUN_NAMES[i]} Board ${cardList(board)}`));
+  } else if (record.board.length) {
+    lines.push(`Board ${cardList(record.board)}`);
+  }
+
+  for (const p of record.players) {
+    const positions = [];
+    if (p.seat === record.dealerSeat) positions.push('(button)');
+    if (p.seat === record.smallBlindSeat) positions.push('(small blind)');
+    if (p.seat === record.bigBlindSeat) positions.push('(big blind)');
+    const label = `Seat ${p.seat + 1}: ${p.moltbookId}${positions.length ? ' ' + positions.join(' ') : ''}`;
+
+    if (foldedOn[p.playerId]) {
+      const when = foldedOn[p.playerId] === 'PREFLOP' ? 'before Flop' : `on the ${STREET_NAMES[foldedOn[p.playerId]]}`;
+      const noBet = foldedOn[p.playerId] === 'PREFLOP' && p.startingStack === stacks[p.playerId] ? " (didn't bet)" : '';
+      lines.push(`${label} folded ${when}${noBet}`);
+    } else if (showdown && handNames[p.playerId]) {
+      const cards = cardList(showdown.results.find(r => r.playerId === p.playerId).holeCards);
+      lines.push(p.won > 0
+        ? `${label} showed ${cards} and won (${p.won}) with ${handNames[p.playerId]}`
+        : `${label} showed ${cards} and lost with ${handNames[p.playerId]}`);
+    } else if (p.won > 0) {
+      lines.push(`${label} collected (${p.won})`);
+    } else {
+      lines.push(`${label} mucked`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Hands separated the way PokerStars writes them to one file
+function toPokerStarsFile(records, options) {
+  return records.map(record => toPokerStars(record, options)).join('\n\n\n') + '\n';
+}
+
+module.exports = { toPokerStars, toPokerStarsFile, toStarsCard };
@@ -0,0 +1,137 @@
+/**
+ * Hand replay
+ * Deals a recorded hand through a fresh Table from its deck order, so the
+ * table can be looked at after any action
+ */
+
+const { Table } = require('../game/table');
+const { Card, SecureDeck } = require('../game/deck');
+
+// What players (and the run-it vote) chose; each one is a replay step
+const DECISIONS = ['FOLD', 'CHECK', 'CALL', 'BET', 'RAISE', 'RUN_IT_VOTE'];
+
+// A table with the hand's players in their seats and the button one seat
+// short of dealerSeat, so startHand moves it there. players are
+// { name, seat, chips, missedSmallBlind?, missedBigBlind? } with 0-based seats.
+// Returns the new playerIds in the same order.
+function seatPlayers(table, players, dealerSeat) {
+  const playerIds = players.map(p => {
+    const { playerId } = table.addPlayer(p.name, 'replay', p.chips, p.seat);
+    const player = table.players.get(playerId);
+    player.missedSmallBlind = !!p.missedSmallBlind;
+    player.missedBigBlind = !!p.missedBigBlind;
+    return playerId;
+  });
+  table.dealerSeat = (dealerSeat - 1 + table.maxPlayers) % table.maxPlayers;
+  return playerIds;
+}
+
+// A deck that deals these cards ('10♠' style strings or Cards) in order
+function stackedDeck(table, order) {
+  const cards = order.map(c => typeof c === 'string' ? new Card(c.slice(0, -1), c.slice(-1)) : c);
+  return new SecureDeck({ ...table.deckOptions, order: cards });
+}
+
+// Replay an archived hand up to and including decision number step
+// (0 = cards dealt, nobody has acted). Returns { table, step, steps, action,
+// playerIds } where playerIds maps the record's player ids to the table's.
+function replayHand(record, step = Infinity) {
+  if (!record.deckOrder) {
+    throw new Error('Hand was archived without its deck order');
+  }
+
+  const start = record.actions.find(e => e.action === 'HAND_START').data;
+  const offered = record.actions.find(e => e.action === 'RUN_IT_OFFERED');
+  const missed = {};
+  for (const { action, data } of record.actions) {
+    if (action === 'MISSED_BLINDS') missed[data.playerId] = data;
+  }
+
+  const table = new Table(record.tableId, {
+    name: record.tableName,
+    maxPlayers: record.maxPlayers,
+    smallBlind: record.smallBlind,
+    bigBlind: record.bigBlind,
+    ante: record.ante,
+    bigBlindAnte: record.bigBlindAnte,
+    straddle: record.straddle?.type || null,
+    straddleAmount: record.straddle?.amount,
+    variant: record.variant,
+    bettingStructure: record.bettingStructure,
+    rake: record.rakeRate,
+    rakeMax: record.rakeMax,
+    runItMax: offered ? offered.data.maxTimes : 1,
+    minBuyIn: 1,
+    maxBuyIn: Math.max(...start.seats.map(s => s.chips))
+  });
+
+  const newIds = seatPlayers(table, start.seats.map(s => ({
+    name: s.moltbookId,
+    seat: s.seat,
+    chips: s.chips,
+    missedSmallBlind: missed[s.playerId]?.dead > 0,
+    missedBigBlind: missed[s.playerId]?.live > 0
+  })), start.dealerSeat);
+  const playerIds = new Map(start.seats.map((s, i) => [s.playerId, newIds[i]]));
+  table.startHand({ deck: stackedDeck(table, record.deckOrder) });
+
+  const decisions = record.actions.filter(e => DECISIONS.includes(e.action));
+  const target = Math.min(Math.max(0, step), decisions.length);
+  for (let i = 0; i < target; i++) {
+    applyDecision(table, playerIds.get(decisions[i].data.playerId), decisions[i]);
+  }
+
+  return { table, step: target, steps: decisions.length, action: target > 0 ? decisions[target - 1] : null, playerIds };
+}
+
+function applyDecision(table, playerId, { action, data }) {
+  switch (action) {
+    case 'FOLD':
+      return table.fold(playerId);
+    case 'CHECK':
+      return table.check(playerId);
+    case 'CALL':
+      return table.call(playerId);
+    case 'BET':
+    case 'RAISE':
+      // Hands archived before raise needed a bet to raise logged some opening bets as RAISE
+      return table.currentBet === 0 ? table.bet(playerId, { to: data.newBet }) : table.raise(playerId, { to: data.newBet });
+    case 'RUN_IT_VOTE':
+      return table.voteRunIt(playerId, data.times);
+  }
+}
+
+// What a replay step looks like to a viewer: the table's public state, the
+// decision just replayed and who acts next with what they could do. Hole
+// cards follow the same rules as the live table, plus the viewer's own.
+function describeReplay(record, { table, step, steps, action, playerIds }, { viewer = null, showAll = false } = {}) {
+  const recordIds = new Map(Array.from(playerIds, ([recordId, tableId]) => [tableId, recordId]));
+  const state = table.getPublicState();
+  state.players = state.players.map(p => {
+    const player = table.players.get(p.id);
+    const visible = showAll || p.moltbookId === viewer;
+    return {
+      ...p,
+      id: recordIds.get(p.id),
+      holeCards: visible ? player.holeCards.map(c => c.toJSON()) : p.holeCards
+    };
+  });
+  state.seats = state.seats.map(id => id && recordIds.get(id));
+
+  const actor = table.players.get(table.seats[table.currentPlayerSeat]);
+  return {
+    handId: record.handId,
+    step,
+    steps,
+    action: action && {
+      moltbookId: record.players.find(p => p.playerId === action.data.playerId)?.moltbookId,
+      type: action.action.toLowerCase(),
+      ...action.data
+    },
+    toAct: actor && table.isHandInProgress() ? actor.moltbookId : null,
+    legalActions: actor ? table.getLegalActions(actor.id) : null,
+    state
+  };
+}
+
+module.exports = { replayHand, describeReplay, seatPlayers, stackedDeck };
@@ -11,6 +11,7 @@ class MoltbookAuth {
   constructor() {
     this.pendingChallenges = new Map(); // moltbookId -> { code, createdAt }
     this.verifiedAgents = new Map(); // moltbookId -> { data, verifiedAt }
+    this.sessions = new Map(); // token -> { moltbookId, walletAddress, issuedAt, expiresAt }
     this.challengeTTL = 10 * 60 * 1000; // 10 minutes to complete challenge
     this.sessionTTL = 24 * 60 * 60 * 1000; // 24 hours
     
@@ -166,9 +167,21 @@ class MoltbookAuth {
       .update(JSON.stringify(payload) + secret)
       .digest('hex');
 
+    this.sessions.set(token, payload);
     return { token, ...payload };
   }
 
+  // The agent a session token was issued to, or null if it's unknown or expired
+  getSessionAgent(token) {
+    const session = token && this.sessions.get(token);
+    if (!session) return null;
+    if (Date.now() > session.expiresAt) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session.moltbookId;
+  }
+
   // Check if agent is verified
   isVerified(moltbookId) {
     const cached = this.verifiedAgents.get(moltbookId);
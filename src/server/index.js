@@ -19,6 +19,15 @@ const { PokerBot } = require('../game/bot');
 const { TokenManager } = require('../solana/token');
 const { BaseTokenManager } = require('../base/token');
 const { PlayerStats } = require('../game/stats');
+const { ChipAuditor } = require('../game/auditor');
+const { HandScheduler } = require('../game/scheduler');
+const { TableStore } = require('../game/store');
+const { verifyHand } = require('../game/verifier');
+const { auditShuffles, auditArchive, moduloBias } = require('../game/shuffle-audit');
+const { HandArchive, redactHand } = require('../history/archive');
+const { toPokerStars, toPokerStarsFile } = require('../history/pokerstars');
+const { toOhh, replayOhh } = require('../history/ohh');
+const { replayHand, describeReplay } = require('../history/replay');
 
 const app = express();
 const httpServer = createServer(app);
@@ -49,7 +58,15 @@ const auth = new MoltbookAuth();
 const tokenManager = new TokenManager(); // Solana
 const baseTokenManager = new BaseTokenManager(); // Base
 const playerStats = new PlayerStats(); // Player statistics tracker
+const tableStore = new TableStore(); // Table snapshots on disk
+const handArchive = new HandArchive(); // Every finished hand, append-only
 const connectedPlayers = new Map(); // socketId -> { moltbookId, walletAddress, tableId, playerId }
+const actionTimers = new Map(); // tableId -> { timer, deadline }
+const lastTurnNotified = new Map(); // tableId -> turn last sent as your_turn
+const auditors = new Map(); // tableId -> ChipAuditor
+const schedulers = new Map(); // tableId -> HandScheduler
+const pendingEvents = new Map(); // tableId -> table events waiting to be sent
+const adminAlerts = []; // Most recent first
 
 // Create default tables
 function initTables() {
@@ -58,17 +75,158 @@ function initTables() {
     { id: 'micro-2', name: '🐜 Micro Stakes 2', smallBlind: 1, bigBlind: 2, minBuyIn: 40, maxBuyIn: 200 },
     { id: 'low-1', name: '🎰 Low Stakes', smallBlind: 5, bigBlind: 10, minBuyIn: 200, maxBuyIn: 1000 },
     { id: 'low-2', name: '🎰 Low Stakes 2', smallBlind: 5, bigBlind: 10, minBuyIn: 200, maxBuyIn: 1000 },
-    { id: 'mid-1', name: '💎 Mid Stakes', smallBlind: 25, bigBlind: 50, minBuyIn: 1000, maxBuyIn: 5000 },
-    { id: 'high-1', name: '🔥 High Roller', smallBlind: 100, bigBlind: 200, minBuyIn: 4000, maxBuyIn: 20000 },
+    { id: 'mid-1', name: '💎 Mid Stakes', smallBlind: 25, bigBlind: 50, minBuyIn: 1000, maxBuyIn: 5000, runItMax: 2 },
+    { id: 'high-1', name: '🔥 High Roller', smallBlind: 100, bigBlind: 200, minBuyIn: 4000, maxBuyIn: 20000, runItMax: 3 },
+    { id: 'ante-1', name: '🎲 Big Blind Ante', smallBlind: 5, bigBlind: 10, bigBlindAnte: 10, minBuyIn: 200, maxBuyIn: 1000 },
+    { id: 'ante-2', name: '🎲 Ante + Straddle', smallBlind: 5, bigBlind: 10, ante: 1, straddle: 'utg', minBuyIn: 200, maxBuyIn: 1000 },
+    { id: 'limit-1', name: '📏 Fixed Limit', smallBlind: 5, bigBlind: 10, bettingStructure: 'fixed-limit', minBuyIn: 200, maxBuyIn: 1000 },
+    { id: 'pl-1', name: '🏺 Pot Limit', smallBlind: 5, bigBlind: 10, bettingStructure: 'pot-limit', minBuyIn: 200, maxBuyIn: 1000 },
+    { id: 'plo-1', name: '🐙 Pot-Limit Omaha', variant: 'omaha', smallBlind: 5, bigBlind: 10, minBuyIn: 200, maxBuyIn: 1000, runItMax: 2 },
+    { id: 'short-1', name: '🩳 Short Deck', variant: 'shortdeck', smallBlind: 5, bigBlind: 10, minBuyIn: 200, maxBuyIn: 1000 },
   ];
 
   for (const config of configs) {
-    tables.set(config.id, new Table(config.id, config));
+    const table = restoreTable(config.id) || new Table(config.id, config);
+    const auditor = new ChipAuditor(table);
+    auditor.on('violation', (violation) => handleChipViolation(config.id, violation));
+    // Only states that passed the chip audit are written to disk
+    auditor.on('audited', () => tableStore.save(table));
+    tables.set(config.id, table);
+    auditors.set(config.id, auditor);
+    watchTable(table);
+    tableStore.save(table);
+
+    if (table.isHandInProgress()) {
+      broadcastGameState(config.id); // Restarts the action timer and the bots
+    } else {
+      scheduleHandStart(config.id, 5000);
+    }
   }
 
   console.log(`✅ Created ${tables.size} tables`);
 }
 
+// Rebuild a table from its last snapshot. A hand cut off by the restart is
+// picked up again if the server came straight back, otherwise it's voided
+// and everyone gets their bets back.
+function restoreTable(tableId) {
+  const saved = tableStore.load(tableId);
+  if (!saved) return null;
+
+  let table;
+  try {
+    table = Table.fromSnapshot(saved.table);
+  } catch (error) {
+    console.error(`Failed to restore ${tableId}: ${error.message}`);
+    tableStore.quarantine(tableId);
+    return null;
+  }
+
+  if (table.isHandInProgress()) {
+    if (Date.now() - saved.savedAt < table.actionTimeout) {
+      table.restartActionClock();
+      console.log(`▶️ Resuming hand #${table.handNumber} on ${tableId}`);
+    } else {
+      for (const { moltbookId, amount } of table.voidHand('server_restart')) {
+        try {
+          tokenManager.creditBalance(moltbookId, amount);
+        } catch (e) {
+          console.error(`Failed to refund ${moltbookId}: ${e.message}`);
+        }
+      }
+      console.log(`↩️ Voided hand #${table.handNumber} on ${tableId}, bets refunded`);
+    }
+  }
+
+  // Nobody is connected yet: players sit out until they rejoin, bots play on
+  table.bots = new Map();
+  for (const player of table.players.values()) {
+    if (player.moltbookId.startsWith('Bot_')) {
+      table.bots.set(player.id, new PokerBot(player.moltbookId, player.moltbookId.split('_')[1]));
+    } else {
+      table.setConnected(player.id, false);
+    }
+  }
+
+  console.log(`💾 Restored ${tableId} with ${table.players.size} players`);
+  return table;
+}
+
+// Relay table events to sockets, stats and the hand scheduler
+function watchTable(table) {
+  const tableId = table.id;
+
+  table.on('handStarted', ({ handNumber }) => {
+    // Chips bought during the last hand landed on the stacks
+    for (const { data } of table.handHistory.filter(e => e.action === 'CHIPS_ADDED')) {
+      const player = table.players.get(data.playerId);
+      queueTableEvent(tableId, 'chips_updated', { ...data, moltbookId: player?.moltbookId, applied: true, pendingChips: 0, tableId });
+    }
+    queueTableEvent(tableId, 'new_hand', { handNumber, tableId });
+  });
+
+  table.on('actionTaken', (action) => {
+    const player = table.players.get(action.playerId);
+    queueTableEvent(tableId, 'action_taken', describeAction(player?.moltbookId, action, tableId));
+  });
+
+  table.on('streetDealt', () => queueTableEvent(tableId));
+
+  table.on('handEnded', ({ result, record }) => {
+    try {
+      handArchive.append(record);
+    } catch (error) {
+      console.error(`Failed to archive hand ${record.handId}: ${error.message}`);
+    }
+    trackHandStats(table, result);
+    queueTableEvent(tableId, 'hand_winner', {
+      winners: result.showdown?.winners?.map(id => {
+        const player = table.players.get(id);
+        return { id, moltbookId: player?.moltbookId };
+      }) || (result.winner ? [{ id: result.winner.playerId, moltbookId: table.players.get(result.winner.playerId)?.moltbookId }] : []),
+      pot: result.showdown?.pot || table.pot,
+      handId: record.handId,
+      tableId
+    });
+  });
+
+  table.on('playerBusted', ({ playerId, moltbookId }) => {
+    if (table.bots?.has(playerId)) return; // Removed before the next hand
+    queueTableEvent(tableId, 'player_busted', { playerId, moltbookId, tableId });
+  });
+
+  const scheduler = new HandScheduler(table);
+  scheduler.on('beforeHand', () => {
+    // Remove broke bots and expired sit-outs before starting new hand
+    removeBrokeBots(tableId);
+    releaseExpiredSeats(tableId);
+    runAutoRebuys(tableId);
+  });
+  scheduler.on('handStartFailed', ({ error }) => {
+    console.error(`Failed to start hand on ${tableId}: ${error.message}`);
+  });
+  schedulers.set(tableId, scheduler);
+}
+
+// Table events fire in the middle of an action. Collect them and send them
+// once the action is done, followed by a single state broadcast.
+function queueTableEvent(tableId, event = null, data = null) {
+  let queued = pendingEvents.get(tableId);
+  if (!queued) {
+    queued = [];
+    pendingEvents.set(tableId, queued);
+    setImmediate(() => {
+      pendingEvents.delete(tableId);
+      for (const item of queued) {
+        io.to(tableId).emit(item.event, item.data);
+        io.to(`spectate-${tableId}`).emit(item.event, item.data);
+      }
+      broadcastGameState(tableId);
+    });
+  }
+  if (event) queued.push({ event, data });
+}
+
 // Track player statistics after a hand
 function trackHandStats(table, result) {
   try {
@@ -92,7 +250,9 @@ function trackHandStats(table, result) {
         // Showdown - track results for each player
         const showdownResult = result.showdown.results?.find(r => r.playerId === playerId);
         if (showdownResult) {
-          const won = result.showdown.winners?.includes(playerId);
+          // Side pots mean each winner can take a different amount
+          const winAmount = result.showdown.payouts?.[playerId] || 0;
+          const won = winAmount > 0;
           
           playerStats.recordShowdown(moltbookId, {
             won,
@@ -101,7 +261,6 @@ function trackHandStats(table, result) {
           });
           
           if (won) {
-            const winAmount = result.showdown.winAmount || Math.floor(pot / result.showdown.winners.length);
             playerStats.recordWin(moltbookId, winAmount, pot, {
               handName: showdownResult.handName,
               cards,
@@ -146,6 +305,13 @@ app.get('/api/tables', (req, res) => {
     maxPlayers: t.maxPlayers,
     smallBlind: t.smallBlind,
     bigBlind: t.bigBlind,
+    ante: t.ante,
+    bigBlindAnte: t.bigBlindAnte,
+    straddle: t.straddle,
+    variant: t.variant,
+    bettingStructure: t.bettingStructure,
+    runItMax: t.runItMax,
+    frozen: auditors.get(t.id)?.frozen || false,
     minBuyIn: t.minBuyIn,
     maxBuyIn: t.maxBuyIn
   }));
@@ -443,7 +609,7 @@ io.on('connection', (socket) => {
 
   // Join table
   socket.on('join_table', async (data) => {
-    const { tableId, moltbookId, walletAddress, buyIn } = data;
+    const { tableId, moltbookId, walletAddress, buyIn, sessionToken } = data;
 
     try {
       // Check if agent is verified (must call /api/auth/verify first)
@@ -457,34 +623,44 @@ io.on('connection', (socket) => {
       if (!table) {
         return socket.emit('error', { message: 'Table not found' });
       }
+      if (auditors.get(tableId)?.frozen) {
+        return socket.emit('error', { message: 'Table is frozen pending admin review' });
+      }
 
-      // Validate buy-in
-      if (buyIn < table.minBuyIn || buyIn > table.maxBuyIn) {
-        return socket.emit('error', { 
-          message: `Buy-in must be between ${table.minBuyIn} and ${table.maxBuyIn} $BELIAL` 
-        });
+      // Already seated (e.g. reconnecting during a sit-out): take the seat back
+      const seated = Array.from(table.players.values()).find(p => p.moltbookId === moltbookId);
+      if (seated) {
+        // Only the agent the seat belongs to can take it over, or its cards and chips are theirs
+        if (auth.getSessionAgent(sessionToken) !== moltbookId) {
+          return socket.emit('error', { message: 'Already seated: send the sessionToken from /api/auth/verify to take your seat back' });
+        }
+        for (const [socketId, conn] of connectedPlayers) {
+          if (conn.playerId === seated.id) connectedPlayers.delete(socketId);
+        }
+        connectedPlayers.set(socket.id, { moltbookId, walletAddress: seated.walletAddress, tableId, playerId: seated.id });
+        socket.join(tableId);
+        if (seated.chips > 0) table.sitIn(seated.id);
+        else table.setConnected(seated.id, true);
+
+        socket.emit('table_state', table.getPlayerState(seated.id));
+        broadcastPlayerStatus(tableId, seated.id);
+        console.log(`🔁 ${moltbookId} returned to ${tableId}`);
+        scheduleHandStart(tableId, 3000);
+        return;
       }
 
-      // Check $BELIAL balance (Solana or Base)
-      const solanaBalance = tokenManager.getPlayerBalance(moltbookId);
-      const baseBalance = baseTokenManager.getPlayerBalance(moltbookId);
-      const totalBalance = solanaBalance + baseBalance;
-      
-      if (totalBalance < buyIn) {
+      // Validate buy-in
+      if (!Number.isInteger(buyIn) || buyIn < table.minBuyIn || buyIn > table.maxBuyIn) {
         return socket.emit('error', { 
-          message: `Insufficient $BELIAL balance. Have: ${totalBalance} (Solana: ${solanaBalance}, Base: ${baseBalance}), need: ${buyIn}. Deposit first!` 
+          message: `Buy-in must be a whole number between ${table.minBuyIn} and ${table.maxBuyIn} $BELIAL` 
         });
       }
 
-      // Debit from Solana first, then Base if needed
-      let remaining = buyIn;
-      if (solanaBalance > 0) {
-        const fromSolana = Math.min(solanaBalance, remaining);
-        tokenManager.debitBalance(moltbookId, fromSolana);
-        remaining -= fromSolana;
-      }
-      if (remaining > 0 && baseBalance > 0) {
-        baseTokenManager.debitBalance(moltbookId, remaining);
+      // Check and debit $BELIAL balance (Solana or Base)
+      try {
+        debitBuyIn(moltbookId, buyIn);
+      } catch (error) {
+        return socket.emit('error', { message: error.message });
       }
 
       // Add player to table
@@ -510,13 +686,8 @@ io.on('connection', (socket) => {
       console.log(`✅ ${moltbookId} joined ${tableId} at seat ${seat}`);
 
       // Auto-start if enough players
-      if (table.players.size >= 2 && table.phase === GAME_PHASES.WAITING) {
-        setTimeout(() => {
-          if (table.phase === GAME_PHASES.WAITING && table.players.size >= 2) {
-            const state = table.startHand();
-            broadcastGameState(tableId);
-          }
-        }, 3000);
+      if (table.phase === GAME_PHASES.WAITING) {
+        scheduleHandStart(tableId, 3000);
       }
     } catch (error) {
       socket.emit('error', { message: error.message });
@@ -525,7 +696,9 @@ io.on('connection', (socket) => {
 
   // Player actions
   socket.on('action', (data) => {
-    const { action, amount } = data;
+    const { action, amount, to, by } = data;
+    // Bets and raises take { to } or { by }; a bare amount is the chips put in
+    const size = to !== undefined || by !== undefined ? { to, by } : amount;
     const connection = connectedPlayers.get(socket.id);
     
     if (!connection) {
@@ -537,115 +710,238 @@ io.on('connection', (socket) => {
       return socket.emit('error', { message: 'Table not found' });
     }
 
+    // The table's events broadcast the action and the new state
     try {
-      let result;
       switch (action) {
         case 'fold':
-          result = table.fold(connection.playerId);
+          table.fold(connection.playerId);
           break;
         case 'check':
-          result = table.check(connection.playerId);
+          table.check(connection.playerId);
           break;
         case 'call':
-          result = table.call(connection.playerId);
+          table.call(connection.playerId);
+          break;
+        case 'bet':
+          table.bet(connection.playerId, size);
           break;
         case 'raise':
-          result = table.raise(connection.playerId, amount);
+          table.raise(connection.playerId, size);
           break;
         case 'allin':
-          result = table.allIn(connection.playerId);
+          table.allIn(connection.playerId);
           break;
         default:
           return socket.emit('error', { message: 'Invalid action' });
       }
+    } catch (error) {
+      socket.emit('error', { message: error.message, action });
+    }
+  });
 
-      // Broadcast action to spectators
-      const actionData = {
-        moltbookId: connection.moltbookId,
-        action,
-        amount: amount || null,
-        tableId: connection.tableId
-      };
-
-      // Broadcast updated state with action data
-      broadcastGameState(connection.tableId, actionData);
-
-      // Handle showdown / hand end
-      if (result.showdown || result.winner) {
-        // Track player stats
-        trackHandStats(table, result);
-        
-        // Broadcast winner info
-        const winnerData = {
-          winners: result.showdown?.winners?.map(id => {
-            const player = table.players.get(id);
-            return { id, moltbookId: player?.moltbookId };
-          }) || (result.winner ? [{ id: result.winner.playerId, moltbookId: table.players.get(result.winner.playerId)?.moltbookId }] : []),
-          pot: result.showdown?.totalPot || result.winner?.chips || table.pot,
-          tableId: connection.tableId
-        };
-        io.to(connection.tableId).emit('hand_winner', winnerData);
-        io.to(`spectate-${connection.tableId}`).emit('hand_winner', winnerData);
-
-        setTimeout(() => {
-          // Remove broke bots before starting new hand
-          removeBrokeBots(connection.tableId);
-          
-          if (table.players.size >= 2) {
-            table.startHand();
-            // Broadcast new hand
-            io.to(connection.tableId).emit('new_hand', { handNumber: table.handNumber, tableId: connection.tableId });
-            io.to(`spectate-${connection.tableId}`).emit('new_hand', { handNumber: table.handNumber, tableId: connection.tableId });
-            broadcastGameState(connection.tableId);
-          }
-        }, 5000);
-      }
+  // Sit out from the next hand, keeping the seat
+  socket.on('sit_out', () => {
+    const connection = connectedPlayers.get(socket.id);
+    const table = connection && tables.get(connection.tableId);
+    if (!table) {
+      return socket.emit('error', { message: 'Not at a table' });
+    }
+
+    try {
+      table.sitOut(connection.playerId);
+      broadcastPlayerStatus(connection.tableId, connection.playerId);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Sit back in; missed blinds are posted next hand unless waiting for the big blind
+  socket.on('sit_in', (data = {}) => {
+    const connection = connectedPlayers.get(socket.id);
+    const table = connection && tables.get(connection.tableId);
+    if (!table) {
+      return socket.emit('error', { message: 'Not at a table' });
+    }
+
+    try {
+      table.sitIn(connection.playerId, { waitForBigBlind: !!data.waitForBigBlind });
+      broadcastPlayerStatus(connection.tableId, connection.playerId);
+      scheduleHandStart(connection.tableId, 3000);
     } catch (error) {
       socket.emit('error', { message: error.message });
     }
   });
 
+  // Vote on running the rest of the board more than once after an all-in
+  socket.on('run_it', (data = {}) => {
+    const connection = connectedPlayers.get(socket.id);
+    const table = connection && tables.get(connection.tableId);
+    if (!table) {
+      return socket.emit('error', { message: 'Not at a table' });
+    }
+
+    try {
+      table.voteRunIt(connection.playerId, Number(data.times));
+    } catch (error) {
+      socket.emit('error', { message: error.message, action: 'run_it' });
+    }
+  });
+
+  // Rebuy after busting, or top up an existing stack, from the wallet balance.
+  // Chips bought mid-hand are added when the hand ends.
+  socket.on('rebuy', (data = {}) => {
+    handleAddChips(socket, Number(data.amount), 'rebuy');
+  });
+
+  socket.on('top_up', (data = {}) => {
+    handleAddChips(socket, Number(data.amount), 'top_up');
+  });
+
+  // Top up automatically between hands: { threshold, to }, or { enabled: false }
+  socket.on('auto_rebuy', (data = {}) => {
+    const connection = connectedPlayers.get(socket.id);
+    const table = connection && tables.get(connection.tableId);
+    if (!table) {
+      return socket.emit('error', { message: 'Not at a table' });
+    }
+
+    try {
+      const settings = data.enabled === false ? null : { threshold: Number(data.threshold), to: Number(data.to) || undefined };
+      const autoRebuy = table.setAutoRebuy(connection.playerId, settings);
+      tableStore.save(table);
+      socket.emit('auto_rebuy_updated', { autoRebuy });
+      if (autoRebuy) runAutoRebuys(connection.tableId);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Mix a seed into the next hand's shuffle: { seed } as 32-128 hex characters.
+  // The table sees its hash now and the seed itself when that hand is over.
+  socket.on('commit_seed', (data = {}) => {
+    const connection = connectedPlayers.get(socket.id);
+    const table = connection && tables.get(connection.tableId);
+    if (!table) {
+      return socket.emit('error', { message: 'Not at a table' });
+    }
+
+    try {
+      const { handNumber, seedHash } = table.commitSeed(connection.playerId, data.seed);
+      tableStore.save(table);
+      io.to(connection.tableId).emit('seed_committed', {
+        playerId: connection.playerId,
+        moltbookId: connection.moltbookId,
+        handNumber,
+        seedHash
+      });
+    } catch (error) {
+      socket.emit('error', { message: error.message, action: 'commit_seed' });
+    }
+  });
+
+  // Operators listen for chip-audit alerts with the ADMIN_TOKEN
+  socket.on('admin_subscribe', (data = {}) => {
+    if (!isAdminToken(data.token)) {
+      return socket.emit('error', { message: 'Invalid admin token' });
+    }
+    socket.join('admins');
+    socket.emit('admin_alerts', { alerts: adminAlerts });
+  });
+
   // Leave table
   socket.on('leave_table', () => {
-    handleDisconnect(socket);
+    handleDisconnect(socket, true);
   });
 
   socket.on('disconnect', () => {
-    handleDisconnect(socket);
+    handleDisconnect(socket, false);
   });
 });
 
-function handleDisconnect(socket) {
-  // Handle player disconnect
+// Debit a buy-in from Solana first, then Base if needed
+function debitBuyIn(moltbookId, amount) {
+  const solanaBalance = tokenManager.getPlayerBalance(moltbookId);
+  const baseBalance = baseTokenManager.getPlayerBalance(moltbookId);
+  const totalBalance = solanaBalance + baseBalance;
+
+  if (totalBalance < amount) {
+    throw new Error(`Insufficient $BELIAL balance. Have: ${totalBalance} (Solana: ${solanaBalance}, Base: ${baseBalance}), need: ${amount}. Deposit first!`);
+  }
+
+  let remaining = amount;
+  if (solanaBalance > 0) {
+    const fromSolana = Math.min(solanaBalance, remaining);
+    tokenManager.debitBalance(moltbookId, fromSolana);
+    remaining -= fromSolana;
+  }
+  if (remaining > 0 && baseBalance > 0) {
+    baseTokenManager.debitBalance(moltbookId, remaining);
+  }
+}
+
+function handleAddChips(socket, amount, reason) {
   const connection = connectedPlayers.get(socket.id);
-  if (connection) {
-    const table = tables.get(connection.tableId);
-    if (table) {
-      const chips = table.removePlayer(connection.playerId);
-      
-      // Credit chips back to player's $BELIAL balance
-      if (chips > 0) {
-        try {
-          tokenManager.creditBalance(connection.moltbookId, chips);
-          console.log(`💰 Credited ${chips} $BELIAL back to ${connection.moltbookId}`);
-        } catch (e) {
-          console.error(`Failed to credit chips: ${e.message}`);
-        }
-      }
+  const table = connection && tables.get(connection.tableId);
+  if (!table) {
+    return socket.emit('error', { message: 'Not at a table' });
+  }
 
-      const disconnectData = {
-        playerId: connection.playerId,
-        moltbookId: connection.moltbookId,
-        chips
-      };
-      io.to(connection.tableId).emit('player_left', disconnectData);
-      io.to(`spectate-${connection.tableId}`).emit('player_left', disconnectData);
-      console.log(`👋 ${connection.moltbookId} left ${connection.tableId}`);
-      
-      // Broadcast updated state to spectators
-      io.to(`spectate-${connection.tableId}`).emit('public_state', table.getPublicState());
+  try {
+    table.validateAddChips(connection.playerId, amount, reason);
+    debitBuyIn(connection.moltbookId, amount);
+    addChipsAndBroadcast(connection.tableId, connection.playerId, amount, reason);
+    scheduleHandStart(connection.tableId, 3000);
+  } catch (error) {
+    socket.emit('error', { message: error.message, action: reason });
+  }
+}
+
+function addChipsAndBroadcast(tableId, playerId, amount, reason) {
+  const table = tables.get(tableId);
+  const player = table.players.get(playerId);
+  const { applied, chips, pendingChips } = table.addChips(playerId, amount, reason);
+
+  console.log(`💰 ${player.moltbookId} ${reason} +${amount} at ${tableId}${applied ? '' : ' (after this hand)'}`);
+  broadcastChipsUpdated(tableId, { playerId, moltbookId: player.moltbookId, amount, reason, applied, chips, pendingChips });
+  broadcastPlayerStatus(tableId, playerId);
+}
+
+function broadcastChipsUpdated(tableId, data) {
+  io.to(tableId).emit('chips_updated', { ...data, tableId });
+  io.to(`spectate-${tableId}`).emit('chips_updated', { ...data, tableId });
+}
+
+// Between hands, top up everyone whose stack fell below their auto-rebuy threshold
+function runAutoRebuys(tableId) {
+  const table = tables.get(tableId);
+  if (!table) return;
+
+  for (const { playerId, amount } of table.getAutoRebuys()) {
+    const player = table.players.get(playerId);
+    try {
+      table.validateAddChips(playerId, amount, 'auto_rebuy');
+      debitBuyIn(player.moltbookId, amount);
+      addChipsAndBroadcast(tableId, playerId, amount, 'auto_rebuy');
+    } catch (error) {
+      // Leave the setting on so it retries once the wallet is funded
+      console.log(`⚠️ Auto-rebuy failed for ${player.moltbookId}: ${error.message}`);
     }
+  }
+}
+
+// Leaving gives up the seat; a dropped connection only sits the player out
+function handleDisconnect(socket, leaving) {
+  // Handle player disconnect
+  const connection = connectedPlayers.get(socket.id);
+  if (connection) {
     connectedPlayers.delete(socket.id);
+    if (leaving) {
+      removeFromTable(connection.tableId, connection.playerId, 'left');
+    } else if (tables.has(connection.tableId)) {
+      tables.get(connection.tableId).setConnected(connection.playerId, false);
+      broadcastPlayerStatus(connection.tableId, connection.playerId);
+      console.log(`📴 ${connection.moltbookId} disconnected from ${connection.tableId}, seat kept`);
+    }
   }
 
   // Handle spectator disconnect
@@ -656,7 +952,7 @@ function handleDisconnect(socket) {
   }
 }
 
-function broadcastGameState(tableId, actionData = null) {
+function broadcastGameState(tableId) {
   const table = tables.get(tableId);
   if (!table) return;
 
@@ -675,16 +971,219 @@ function broadcastGameState(tableId, actionData = null) {
   io.to(tableId).emit('public_state', publicState);
   io.to(`spectate-${tableId}`).emit('public_state', publicState);
 
-  // Broadcast action if provided
-  if (actionData) {
-    io.to(tableId).emit('action_taken', actionData);
-    io.to(`spectate-${tableId}`).emit('action_taken', actionData);
-  }
+  // Restart the action clock if the turn moved
+  scheduleActionTimer(tableId);
+  notifyTurn(tableId);
 
   // Check if it's a bot's turn
   checkBotTurn(tableId);
 }
 
+// action_taken payload with the amounts the table actually applied:
+// amount is chips put in, to is the total bet this street, by the raise size
+function describeAction(moltbookId, action, tableId) {
+  return {
+    moltbookId,
+    action: action.type,
+    amount: action.amount,
+    to: action.to,
+    by: action.by,
+    allIn: action.allIn || false,
+    timedOut: action.timedOut || false,
+    tableId
+  };
+}
+
+// Tell the acting player what they can do, once per turn
+function notifyTurn(tableId) {
+  const table = tables.get(tableId);
+  const playerId = table?.seats[table.currentPlayerSeat];
+  const turnKey = playerId && table.isHandInProgress()
+    ? `${table.handNumber}:${table.phase}:${table.currentPlayerSeat}`
+    : null;
+  if (turnKey === lastTurnNotified.get(tableId)) return;
+  lastTurnNotified.set(tableId, turnKey);
+  if (!turnKey) return;
+
+  const player = table.players.get(playerId);
+  const turnData = {
+    tableId,
+    handNumber: table.handNumber,
+    phase: table.phase,
+    ...table.getLegalActions(playerId),
+    holeCards: player.holeCards.map(c => c.toString()),
+    actionDeadline: table.actionDeadline,
+    gameState: table.getPlayerState(playerId)
+  };
+
+  for (const [socketId, connection] of connectedPlayers) {
+    if (connection.tableId === tableId && connection.playerId === playerId) {
+      io.sockets.sockets.get(socketId)?.emit('your_turn', turnData);
+    }
+  }
+}
+
+// Take a player off a table and credit their remaining chips back
+function removeFromTable(tableId, playerId, reason) {
+  const table = tables.get(tableId);
+  const player = table?.players.get(playerId);
+  if (!player) return;
+
+  // Fold first if the table is waiting on them
+  if (table.seats[table.currentPlayerSeat] === playerId) {
+    try {
+      table.fold(playerId);
+    } catch (error) {
+      console.error(`Fold on leave failed: ${error.message}`);
+    }
+  }
+
+  const chips = table.removePlayer(playerId);
+  for (const [socketId, conn] of connectedPlayers) {
+    if (conn.playerId === playerId) connectedPlayers.delete(socketId);
+  }
+
+  // Credit chips back to player's $BELIAL balance
+  if (chips > 0) {
+    try {
+      tokenManager.creditBalance(player.moltbookId, chips);
+      console.log(`💰 Credited ${chips} $BELIAL back to ${player.moltbookId}`);
+    } catch (e) {
+      console.error(`Failed to credit chips: ${e.message}`);
+    }
+  }
+
+  const disconnectData = {
+    playerId,
+    moltbookId: player.moltbookId,
+    chips,
+    reason
+  };
+  io.to(tableId).emit('player_left', disconnectData);
+  io.to(`spectate-${tableId}`).emit('player_left', disconnectData);
+  console.log(`👋 ${player.moltbookId} left ${tableId} (${reason})`);
+
+  // Broadcast updated state to spectators
+  io.to(`spectate-${tableId}`).emit('public_state', table.getPublicState());
+}
+
+// Release seats of players who sat out longer than the table allows
+function releaseExpiredSeats(tableId) {
+  const table = tables.get(tableId);
+  if (!table) return;
+  for (const playerId of table.getExpiredSitOuts()) {
+    removeFromTable(tableId, playerId, 'sit_out_expired');
+  }
+}
+
+function broadcastPlayerStatus(tableId, playerId) {
+  const table = tables.get(tableId);
+  const player = table?.players.get(playerId);
+  if (!player) return;
+
+  const statusData = {
+    playerId,
+    moltbookId: player.moltbookId,
+    sittingOut: player.sittingOut,
+    waitForBigBlind: player.waitForBigBlind,
+    isConnected: player.isConnected,
+    tableId
+  };
+  io.to(tableId).emit('player_status', statusData);
+  io.to(`spectate-${tableId}`).emit('player_status', statusData);
+  broadcastGameState(tableId);
+}
+
+// Start the next hand after a delay if the table is idle and has enough players
+function scheduleHandStart(tableId, delay) {
+  schedulers.get(tableId)?.schedule(delay);
+}
+
+// A table failed its chip audit: stop it, pay everyone back from the last
+// consistent snapshot and tell the operators
+function handleChipViolation(tableId, violation) {
+  const table = tables.get(tableId);
+  console.error(`🚨 Chip audit failed on ${tableId} after ${violation.method}: ${violation.problems.join('; ')}`);
+
+  const timer = actionTimers.get(tableId);
+  if (timer) clearTimeout(timer.timer);
+  actionTimers.delete(tableId);
+  schedulers.get(tableId)?.cancel();
+
+  // Seated players are paid out by leaving; anyone who already left gets
+  // back what they still had in the pot
+  for (const refund of violation.refunds) {
+    if (refund.seated) {
+      removeFromTable(tableId, refund.playerId, 'table_frozen');
+    } else if (refund.amount > 0) {
+      try {
+        tokenManager.creditBalance(refund.moltbookId, refund.amount);
+      } catch (e) {
+        console.error(`Failed to refund ${refund.moltbookId}: ${e.message}`);
+      }
+    }
+  }
+  table.bots?.clear();
+
+  const alert = { type: 'chip_audit', ...violation };
+  adminAlerts.unshift(alert);
+  if (adminAlerts.length > 50) adminAlerts.pop();
+  io.to('admins').emit('admin_alert', alert);
+
+  const frozenData = { tableId, handNumber: violation.handNumber, message: 'Table frozen pending admin review, stacks refunded' };
+  io.to(tableId).emit('table_frozen', frozenData);
+  io.to(`spectate-${tableId}`).emit('table_frozen', frozenData);
+  tableStore.save(table);
+  broadcastGameState(tableId);
+}
+
+function isAdminToken(token) {
+  return !!process.env.ADMIN_TOKEN && token === process.env.ADMIN_TOKEN;
+}
+
+// Keep one timer per table for the current player's action clock
+function scheduleActionTimer(tableId) {
+  const table = tables.get(tableId);
+  const existing = actionTimers.get(tableId);
+  if (!table || table.actionDeadline === null) {
+    if (existing) clearTimeout(existing.timer);
+    actionTimers.delete(tableId);
+    return;
+  }
+
+  // Still waiting on the same turn
+  if (existing && existing.deadline === table.actionDeadline) return;
+  if (existing) clearTimeout(existing.timer);
+
+  const deadline = table.actionDeadline;
+  const timer = setTimeout(() => {
+    actionTimers.delete(tableId);
+    try {
+      // Nobody left to act, the all-in players ran out of time to vote
+      if (table.runItVote && table.runItVote.times === null) {
+        if (table.handleActionTimeout()) {
+          console.log(`⏰ Run-it vote timed out on ${tableId}, running it ${table.runItVote.times} time(s)`);
+        }
+        return;
+      }
+
+      const playerId = table.seats[table.currentPlayerSeat];
+      const player = table.players.get(playerId);
+      const result = table.handleActionTimeout();
+      if (!result) return;
+
+      console.log(`⏰ ${player.moltbookId} timed out on ${tableId} (${result.timedOut.action})`);
+      if (result.timedOut.satOut) {
+        broadcastPlayerStatus(tableId, playerId);
+      }
+    } catch (error) {
+      console.error(`Action timer error: ${error.message}`);
+    }
+  }, Math.max(0, deadline - Date.now()));
+
+  actionTimers.set(tableId, { timer, deadline });
+}
+
 // Remove bots that have 0 chips
 function removeBrokeBots(tableId) {
   const table = tables.get(tableId);
@@ -718,6 +1217,10 @@ function checkBotTurn(tableId) {
   const table = tables.get(tableId);
   if (!table || !table.bots || table.phase === GAME_PHASES.WAITING || table.phase === GAME_PHASES.SHOWDOWN) return;
 
+  if (table.runItVote && table.runItVote.times === null) {
+    return voteForBots(tableId);
+  }
+
   const currentPlayerId = table.seats[table.currentPlayerSeat];
   if (!currentPlayerId) return;
 
@@ -742,69 +1245,65 @@ function checkBotTurn(tableId) {
         phase: table.phase
       });
 
-      let result;
+      // Keep bot raises inside the table's betting structure; on a street
+      // nobody has bet yet, a raise opens the betting instead
+      if (decision.action === 'raise') {
+        const bounds = table.getRaiseBounds(currentPlayerId);
+        if (!bounds) {
+          decision.action = table.currentBet > player.currentBet ? 'call' : 'check';
+        } else {
+          const wanted = table.currentBet + (decision.by || 0);
+          decision.to = Math.min(Math.max(wanted, bounds.minTo), bounds.maxTo);
+          if (table.currentBet === 0) decision.action = 'bet';
+        }
+      }
+
       switch (decision.action) {
         case 'fold':
-          result = table.fold(currentPlayerId);
+          table.fold(currentPlayerId);
           break;
         case 'check':
-          result = table.check(currentPlayerId);
+          table.check(currentPlayerId);
           break;
         case 'call':
-          result = table.call(currentPlayerId);
+          table.call(currentPlayerId);
+          break;
+        case 'bet':
+          table.bet(currentPlayerId, { to: decision.to });
           break;
         case 'raise':
-          result = table.raise(currentPlayerId, decision.amount);
+          table.raise(currentPlayerId, { to: decision.to });
           break;
         default:
-          result = table.fold(currentPlayerId);
+          table.fold(currentPlayerId);
       }
 
-      console.log(`🤖 ${bot.name} (${bot.style}): ${decision.action}${decision.amount ? ' ' + decision.amount : ''}`);
-      
-      // Broadcast bot action
-      const actionData = {
-        moltbookId: bot.name,
-        action: decision.action,
-        amount: decision.amount || null,
-        tableId
-      };
-      broadcastGameState(tableId, actionData);
-
-      // Handle showdown / hand end
-      if (result.showdown || result.winner) {
-        // Track player stats
-        trackHandStats(table, result);
-        
-        const winnerData = {
-          winners: result.showdown?.winners?.map(id => {
-            const p = table.players.get(id);
-            return { id, moltbookId: p?.moltbookId };
-          }) || (result.winner ? [{ id: result.winner.playerId, moltbookId: table.players.get(result.winner.playerId)?.moltbookId }] : []),
-          pot: result.showdown?.totalPot || result.winner?.chips || table.pot,
-          tableId
-        };
-        io.to(tableId).emit('hand_winner', winnerData);
-        io.to(`spectate-${tableId}`).emit('hand_winner', winnerData);
-
-        setTimeout(() => {
-          // Remove broke bots before starting new hand
-          removeBrokeBots(tableId);
-          
-          if (table.players.size >= 2) {
-            table.startHand();
-            io.to(tableId).emit('new_hand', { handNumber: table.handNumber, tableId });
-            io.to(`spectate-${tableId}`).emit('new_hand', { handNumber: table.handNumber, tableId });
-            broadcastGameState(tableId);
-          }
-        }, 3000);
-      }
+      console.log(`🤖 ${bot.name} (${bot.style}): ${decision.action}${decision.to ? ' to ' + decision.to : ''}`);
     } catch (error) {
       console.error(`Bot error: ${error.message}`);
     }
   }, 1000 + Math.random() * 2000); // 1-3 second delay
 }
 
+// Bots always run it once
+function voteForBots(tableId) {
+  const table = tables.get(tableId);
+  const vote = table.runItVote;
+  const pending = vote.voters.filter(id => table.bots.has(id) && vote.votes[id] === undefined);
+  if (pending.length === 0) return;
+
+  setTimeout(() => {
+    try {
+      for (const botId of pending) {
+        if (table.runItVote !== vote || vote.times !== null || vote.votes[botId] !== undefined) continue;
+        table.voteRunIt(botId, 1);
+      }
+    } catch (error) {
+      console.error(`Bot error: ${error.message}`);
+    }
+  }, 1000);
+}
+
 // Add bot to table (for testing)
 app.post('/api/table/:id/add-bot', (req, res) => {
   const table = tables.get(req.params.id);
@@ -845,7 +1344,6 @@ app.post('/api/table/:id/start', (req, res) => {
   
   try {
     const state = table.startHand();
-    broadcastGameState(req.params.id);
     res.json({ success: true, phase: state.phase, pot: state.pot });
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -870,6 +1368,193 @@ app.get('/api/table/:id/completed-hands', (req, res) => {
   res.json({ hands: table.completedHands || [] });
 });
 
+// Archived hands, newest first. Hole cards are only shown for players who
+// showed down, plus your own when you pass your verified moltbookId.
+app.get('/api/hands', (req, res) => {
+  const filters = {};
+  for (const key of ['from', 'to']) {
+    if (req.query[key] === undefined) continue;
+    const time = parseTime(req.query[key]);
+    if (Number.isNaN(time)) {
+      return res.status(400).json({ error: `${key} must be a timestamp or ISO date` });
+    }
+    filters[key] = time;
+  }
+  for (const key of ['minPot', 'limit', 'offset']) {
+    if (req.query[key] === undefined) continue;
+    const value = Number(req.query[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      return res.status(400).json({ error: `${key} must be a whole number` });
+    }
+    filters[key] = value;
+  }
+
+  const { hands, total, limit, offset } = handArchive.query({
+    ...filters,
+    tableId: req.query.tableId,
+    player: req.query.player
+  });
+  const view = handView(req);
+  res.json({ hands: hands.map(hand => redactHand(hand, view)), total, limit, offset });
+});
+
+app.get('/api/hands/:handId', (req, res) => {
+  const hand = handArchive.get(req.params.handId);
+  if (!hand) {
+    return res.status(404).json({ error: 'Hand not found' });
+  }
+  res.json(redactHand(hand, handView(req)));
+});
+
+// One hand as Open Hand History JSON
+app.get('/api/hands/:handId/ohh', (req, res) => {
+  const hand = handArchive.get(req.params.handId);
+  if (!hand) {
+    return res.status(404).json({ error: 'Hand not found' });
+  }
+  const view = handView(req);
+  res.json(toOhh(redactHand(hand, view), { hero: view.viewer }));
+});
+
+// Check an archived hand's deal against its deck commitment and seeds
+app.get('/api/verify/:handId', (req, res) => {
+  const hand = handArchive.get(req.params.handId);
+  if (!hand) {
+    return res.status(404).json({ error: 'Hand not found' });
+  }
+  // Checked against the full reveal; the proofs returned are only for cards the caller may see
+  res.json({
+    ...verifyHand(hand),
+    deckReveal: redactHand(hand, handView(req)).deckReveal
+  });
+});
+
+// The table as it was after decision number step of an archived hand
+// (0 = just dealt, leave step out for the end of the hand)
+app.get('/api/hands/:handId/replay', (req, res) => {
+  const hand = handArchive.get(req.params.handId);
+  if (!hand) {
+    return res.status(404).json({ error: 'Hand not found' });
+  }
+
+  let step = Infinity;
+  if (req.query.step !== undefined) {
+    step = Number(req.query.step);
+    if (!Number.isInteger(step) || step < 0) {
+      return res.status(400).json({ error: 'step must be a whole number' });
+    }
+  }
+
+  try {
+    res.json(describeReplay(hand, replayHand(hand, step), handView(req)));
+  } catch (error) {
+    res.status(409).json({ error: `Can't replay this hand: ${error.message}` });
+  }
+});
+
+// Deal an OHH file through a fresh table to check it against what the file
+// says happened, for settling disputes
+app.post('/api/admin/replay-ohh', (req, res) => {
+  if (!isAdminToken(req.get('x-admin-token'))) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  try {
+    const { table, result, differences } = replayOhh(req.body);
+    res.json({
+      matches: differences.length === 0,
+      differences,
+      board: table.communityCards.map(c => c.toString()),
+      runouts: table.runouts.length > 1 ? table.runouts.map(board => board.map(c => c.toString())) : undefined,
+      showdown: result.showdown ? result.showdown.results : undefined,
+      stacks: Array.from(table.players.values(), p => ({ name: p.moltbookId, chips: p.chips })),
+      history: table.handHistory
+    });
+  } catch (error) {
+    res.status(400).json({ matches: false, error: error.message });
+  }
+});
+
+// Shuffle fresh decks offline and test them, and the archived decks, for
+// bias. Runs in batches so tables keep going; one audit at a time.
+let shuffleAuditRunning = false;
+app.get('/api/admin/shuffle-audit', async (req, res) => {
+  if (!isAdminToken(req.get('x-admin-token'))) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  const shuffles = req.query.shuffles === undefined ? 100000 : Number(req.query.shuffles);
+  if (!Number.isInteger(shuffles) || shuffles < 1 || shuffles > 1000000) {
+    return res.status(400).json({ error: 'shuffles must be a whole number from 1 to 1000000' });
+  }
+  if (shuffleAuditRunning) {
+    return res.status(409).json({ error: 'A shuffle audit is already running' });
+  }
+
+  shuffleAuditRunning = true;
+  try {
+    const shortDeck = req.query.shortDeck === 'true';
+    const simulated = await auditShuffles({ shuffles, shortDeck });
+    const archive = await auditArchive(handArchive);
+    console.log(`🔀 Shuffle audit: ${shuffles} shuffles ${simulated.uniform ? 'uniform' : 'NOT uniform'}, ${archive.hands} archived hands`);
+    res.json({ simulated, archive, moduloBias: moduloBias(shortDeck) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  } finally {
+    shuffleAuditRunning = false;
+  }
+});
+
+// One hand as a PokerStars text hand history
+app.get('/api/table/:id/hands/:n.txt', (req, res) => {
+  const hand = handArchive.findByNumber(req.params.id, Number(req.params.n));
+  if (!hand) {
+    return res.status(404).json({ error: 'Hand not found' });
+  }
+  res.type('text/plain').send(toPokerStars(hand, { hero: handView(req).viewer }) + '\n');
+});
+
+// A player's most recent hands (up to 1000) in one PokerStars file for
+// trackers. Filter with tableId, from and to like /api/hands.
+app.get('/api/player/:name/hands.txt', (req, res) => {
+  const player = req.params.name;
+  const filters = { player, tableId: req.query.tableId };
+  for (const key of ['from', 'to']) {
+    if (req.query[key] === undefined) continue;
+    const time = parseTime(req.query[key]);
+    if (Number.isNaN(time)) {
+      return res.status(400).json({ error: `${key} must be a timestamp or ISO date` });
+    }
+    filters[key] = time;
+  }
+
+  const hands = [];
+  while (hands.length < 1000) {
+    const page = handArchive.query({ ...filters, limit: 100, offset: hands.length });
+    hands.push(...page.hands);
+    if (hands.length >= page.total) break;
+  }
+
+  const { viewer } = handView(req);
+  res.type('text/plain');
+  res.attachment(`${player}-hands.txt`);
+  res.send(toPokerStarsFile(hands.reverse(), { hero: viewer === player ? player : null }));
+});
+
+// Accepts a millisecond timestamp or anything Date.parse reads
+function parseTime(value) {
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// Who is looking at archived hands: the agent whose session token is in the
+// Authorization header sees their own cards, operators see every card
+function handView(req) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return {
+    viewer: scheme === 'Bearer' ? auth.getSessionAgent(token) : null,
+    showAll: isAdminToken(req.get('x-admin-token'))
+  };
+}
+
 // Player profiles and stats
 app.get('/api/player/:name', (req, res) => {
   const stats = playerStats.getStats(decodeURIComponent(req.params.name));
@@ -891,6 +1576,14 @@ app.get('/api/leaderboard', (req, res) => {
   res.json({ leaderboard, sortBy });
 });
 
+// Chip-audit alerts for operators
+app.get('/api/admin/alerts', (req, res) => {
+  if (!isAdminToken(req.get('x-admin-token'))) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  res.json({ alerts: adminAlerts });
+});
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ 
@@ -920,6 +1613,13 @@ const PORT = process.env.PORT || 3000;
 
 initTables();
 
+// Seats of players who never came back are released even when no hands are running
+setInterval(() => {
+  for (const tableId of tables.keys()) {
+    releaseExpiredSeats(tableId);
+  }
+}, 30000);
+
 httpServer.listen(PORT, () => {
   console.log(`
 🃏 ═══════════════════════════════════════════════════════
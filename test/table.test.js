@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Table, GAME_PHASES } = require('../src/game/table');
+
+// Heads-up table with these stacks at 5/10 blinds
+function headsUp(stacks) {
+  const table = new Table('test', { smallBlind: 5, bigBlind: 10, minBuyIn: 1, maxBuyIn: 1000 });
+  stacks.forEach((chips, i) => table.addPlayer(`player${i}`, 'wallet', chips));
+  const ended = [];
+  table.on('handEnded', event => ended.push(event));
+  return { table, ended };
+}
+
+test('blinds that put both players all-in run the board out', () => {
+  const { table, ended } = headsUp([5, 5]);
+  table.startHand();
+
+  assert.strictEqual(ended.length, 1);
+  assert.strictEqual(table.phase, GAME_PHASES.SHOWDOWN);
+  assert.strictEqual(table.currentPlayerSeat, null);
+  assert.strictEqual(table.actionDeadline, null);
+  assert.strictEqual(ended[0].record.board.length, 5);
+  assert.strictEqual([...table.players.values()].reduce((sum, p) => sum + p.chips, 0), 10);
+});
+
+test('a small blind all-in for less leaves the big blind nobody to act against', () => {
+  // The button moves to the second seat for the first hand and posts the small blind
+  const { table, ended } = headsUp([100, 3]);
+  table.startHand();
+
+  assert.strictEqual(ended.length, 1);
+  assert.strictEqual(table.phase, GAME_PHASES.SHOWDOWN);
+  assert.strictEqual([...table.players.values()].reduce((sum, p) => sum + p.chips, 0), 103);
+});
+
+test('deep stacks still wait for the first player to act', () => {
+  const { table, ended } = headsUp([100, 100]);
+  table.startHand();
+
+  assert.strictEqual(ended.length, 0);
+  assert.strictEqual(table.phase, GAME_PHASES.PREFLOP);
+  assert.notStrictEqual(table.currentPlayerSeat, null);
+  assert.notStrictEqual(table.actionDeadline, null);
+});
+
+test('raise is refused on a street nobody has bet on', () => {
+  const { table } = headsUp([100, 100]);
+  table.startHand();
+  table.call(table.seats[table.currentPlayerSeat]);
+  table.check(table.seats[table.currentPlayerSeat]);
+
+  const first = table.seats[table.currentPlayerSeat];
+  assert.strictEqual(table.phase, GAME_PHASES.FLOP);
+  assert.throws(() => table.raise(first, { to: 30 }), /Nothing to raise, bet instead/);
+  table.bet(first, { to: 30 });
+  assert.strictEqual(table.handHistory.at(-1).action, 'BET');
+});